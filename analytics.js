@@ -0,0 +1,282 @@
+/**
+ * @file analytics.js
+ * @description Engagement statistics computed from a post's comment tree, shown as tables
+ * in the viewer's analytics panel. Every table can be downloaded as CSV.
+ */
+
+// --- CONSTANTS --- //
+// How many rows the "top" tables (words, emoji, threads) show
+const ANALYTICS_TOP_COUNT = 20;
+const ANALYTICS_MIN_WORD_LENGTH = 3;
+// Common English words left out of the word frequency table
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+    'our', 'out', 'has', 'him', 'his', 'how', 'its', 'may', 'new', 'now', 'see', 'who', 'did', 'she',
+    'too', 'use', 'that', 'this', 'with', 'have', 'from', 'they', 'will', 'would', 'there', 'their',
+    'what', 'about', 'which', 'when', 'your', 'were', 'been', 'than', 'them', 'then', 'just', 'like',
+    'also', 'into', 'more', 'some', 'very', 'because', 'could', 'should', 'these', 'those', 'here'
+]);
+const WORD_PATTERN = /[\p{L}\p{N}']+/gu;
+const URL_PATTERN = /\bhttps?:\/\/\S+|\bwww\.\S+/g;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier}|\u200D\p{Extended_Pictographic})*/gu;
+// Activity is grouped by hour for short-lived threads and by day otherwise
+const HOURLY_ACTIVITY_MAX_SPAN_MS = 3 * 24 * 60 * 60 * 1000;
+
+// --- FUNCTIONS --- //
+
+/**
+ * Visits every comment and reply in a comment tree, in reading order. Comments deleted since an
+ * earlier scrape (removedIn) are skipped, though their surviving replies are still visited.
+ * @param {Array} comments - The nested comments array.
+ * @param {Function} visit - Called with (comment, level, replyCount) for each comment.
+ * @param {number} [level] - The depth of `comments` in the tree.
+ * @returns {number} The number of comments visited.
+ */
+function walkCommentTree(comments, visit, level = 0) {
+    return (comments || []).reduce((total, comment) => {
+        const replyCount = countLiveComments(comment.replies);
+        const isLive = comment.removedIn === undefined;
+        if (isLive) visit(comment, level, replyCount);
+        if (comment.replies) walkCommentTree(comment.replies, visit, level + 1);
+        return total + (isLive ? 1 : 0) + replyCount;
+    }, 0);
+}
+
+/**
+ * Returns the time a comment was posted, if it can be worked out.
+ * Uses the parsed `timestamp` when the scraper recorded one, otherwise the full date text.
+ * @param {object} comment - The comment.
+ * @returns {Date|null} The time, or null if unknown.
+ */
+function getCommentDate(comment) {
+    const candidates = [comment.timestamp, comment.time?.absolute];
+    for (const value of candidates) {
+        const time = typeof value === 'string' ? Date.parse(value.replace(/ at /, ' ')) : NaN;
+        if (!Number.isNaN(time)) return new Date(time);
+    }
+    return null;
+}
+
+/**
+ * Counts items and returns the most common ones.
+ * @param {string[]} items - The items to count.
+ * @param {number} [limit] - How many to return.
+ * @returns {Array} [item, count] pairs, most common first.
+ */
+function topCounts(items, limit = ANALYTICS_TOP_COUNT) {
+    const counts = new Map();
+    items.forEach(item => counts.set(item, (counts.get(item) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, limit);
+}
+
+/**
+ * Shortens text for display in a table cell.
+ * @param {string} text - The text to shorten.
+ * @param {number} [maxLength] - The longest text to keep as is.
+ * @returns {string} The text, cut with an ellipsis if it was longer.
+ */
+function excerpt(text, maxLength = 80) {
+    const singleLine = text.replace(/\s+/g, ' ').trim();
+    return singleLine.length > maxLength ? `${singleLine.slice(0, maxLength - 1)}…` : singleLine;
+}
+
+/**
+ * Computes every analytics table for a post.
+ * @param {object} data - The (validated) post data.
+ * @returns {Array} Tables of { id, title, columns, rows, note? }.
+ */
+function computeAnalytics(data) {
+    const all = [];
+    const loaded = walkCommentTree(data.comments, (comment, level, replyCount) => all.push({ comment, level, replyCount }));
+    const tables = [];
+
+    // Coverage: how much of the thread the scrape captured
+    const reported = data.totalComments || 0;
+    const coverageRows = [
+        ['Comments loaded', loaded],
+        ['Comments reported by Facebook', reported],
+        // Facebook's count can lag behind the thread, so more comments than reported is full coverage
+        ['Coverage', reported > 0 ? `${Math.min(100, Math.round((loaded / reported) * 100))}%` : 'n/a']
+    ];
+    const expansion = data.commentCoverage?.expansion;
+    if (expansion) {
+        coverageRows.push(['"View more" clicks while scraping', expansion.clicks]);
+        if (expansion.cancelled || expansion.timedOut || expansion.hitRoundLimit) {
+            coverageRows.push(['Expansion stopped early', expansion.cancelled ? 'cancelled' : expansion.timedOut ? 'timed out' : 'round limit']);
+        }
+    }
+    tables.push({ id: 'coverage', title: 'Coverage', columns: ['Measure', 'Value'], rows: coverageRows });
+
+    // Comments per author
+    const authors = new Map();
+    all.forEach(({ comment, level }) => {
+        const stats = authors.get(comment.name) || { comments: 0, replies: 0, characters: 0 };
+        if (level === 0) stats.comments++;
+        else stats.replies++;
+        stats.characters += comment.message.length;
+        authors.set(comment.name, stats);
+    });
+    tables.push({
+        id: 'authors',
+        title: 'Comments per author',
+        columns: ['Author', 'Comments', 'Replies', 'Total', 'Average length'],
+        rows: [...authors.entries()]
+            .map(([name, stats]) => [name, stats.comments, stats.replies, stats.comments + stats.replies, Math.round(stats.characters / (stats.comments + stats.replies))])
+            .sort((a, b) => b[3] - a[3] || a[0].localeCompare(b[0]))
+    });
+
+    // Reply depth distribution
+    const depths = [];
+    all.forEach(({ level }) => { depths[level] = (depths[level] || 0) + 1; });
+    tables.push({
+        id: 'depth',
+        title: 'Reply depth',
+        columns: ['Depth', 'Comments', 'Share'],
+        rows: [...depths].map((count = 0, level) => [level === 0 ? '0 (top-level)' : String(level), count, `${Math.round((count / (loaded || 1)) * 100)}%`])
+    });
+
+    // Most-replied threads
+    tables.push({
+        id: 'threads',
+        title: 'Most-replied threads',
+        columns: ['Author', 'Comment', 'Replies'],
+        rows: all.filter(({ level, replyCount }) => level === 0 && replyCount > 0)
+            .sort((a, b) => b.replyCount - a.replyCount)
+            .slice(0, ANALYTICS_TOP_COUNT)
+            .map(({ comment, replyCount }) => [comment.name, excerpt(comment.message), replyCount])
+    });
+
+    // Comment length
+    const lengths = all.map(({ comment }) => comment.message.length).sort((a, b) => a - b);
+    const wordCounts = all.map(({ comment }) => (comment.message.match(WORD_PATTERN) || []).length);
+    const median = lengths.length === 0 ? 0 : lengths.length % 2
+        ? lengths[(lengths.length - 1) / 2]
+        : (lengths[lengths.length / 2 - 1] + lengths[lengths.length / 2]) / 2;
+    const sum = values => values.reduce((total, value) => total + value, 0);
+    tables.push({
+        id: 'length',
+        title: 'Comment length (characters)',
+        columns: ['Measure', 'Value'],
+        rows: lengths.length === 0 ? [] : [
+            ['Shortest', lengths[0]],
+            ['Longest', lengths[lengths.length - 1]],
+            ['Average', Math.round(sum(lengths) / lengths.length)],
+            ['Median', median],
+            ['Average words', Math.round((sum(wordCounts) / wordCounts.length) * 10) / 10],
+            ['Without text (stickers, GIFs, photos)', lengths.filter(length => length === 0).length]
+        ]
+    });
+
+    // Word and emoji frequency
+    const words = all.flatMap(({ comment }) => (comment.message.toLowerCase().replace(URL_PATTERN, ' ').match(WORD_PATTERN) || [])
+        .map(word => word.replace(/^'+|'+$/g, ''))
+        .filter(word => word.length >= ANALYTICS_MIN_WORD_LENGTH && !STOP_WORDS.has(word) && !/^\d+$/.test(word)));
+    tables.push({ id: 'words', title: 'Most used words', columns: ['Word', 'Uses'], rows: topCounts(words) });
+
+    const emoji = all.flatMap(({ comment }) => comment.message.match(EMOJI_PATTERN) || []);
+    tables.push({ id: 'emoji', title: 'Most used emoji', columns: ['Emoji', 'Uses'], rows: topCounts(emoji) });
+
+    // Activity over time, once comments carry usable timestamps
+    const dates = all.map(({ comment }) => getCommentDate(comment)).filter(Boolean).sort((a, b) => a - b);
+    const activity = { id: 'activity', title: 'Activity over time', columns: ['Period', 'Comments'], rows: [] };
+    if (dates.length === 0) {
+        activity.note = 'These comments have no timestamps. Scrape the post again to record when each comment was posted.';
+    } else {
+        const hourly = dates[dates.length - 1] - dates[0] <= HOURLY_ACTIVITY_MAX_SPAN_MS;
+        const bucketOf = date => {
+            const iso = date.toISOString();
+            return hourly ? `${iso.slice(0, 10)} ${iso.slice(11, 13)}:00 UTC` : iso.slice(0, 10);
+        };
+        const buckets = new Map();
+        dates.forEach(date => buckets.set(bucketOf(date), (buckets.get(bucketOf(date)) || 0) + 1));
+        activity.rows = [...buckets.entries()];
+        if (dates.length < loaded) activity.note = `${loaded - dates.length} comments have no usable timestamp and are not counted.`;
+    }
+    tables.push(activity);
+
+    return tables;
+}
+
+/**
+ * Converts a table to CSV. Cells that a spreadsheet would run as a formula are prefixed
+ * with an apostrophe, since comment text comes from anyone on Facebook.
+ * @param {object} table - A table from computeAnalytics.
+ * @returns {string} The CSV text.
+ */
+function tableToCsv(table) {
+    const formatCell = (value) => {
+        let text = String(value);
+        if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [table.columns, ...table.rows].map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Downloads a table as a CSV file.
+ * @param {object} table - A table from computeAnalytics.
+ * @param {string} filePrefix - The start of the file name, e.g. "jane-doe".
+ */
+function downloadTableCsv(table, filePrefix) {
+    // The byte order mark makes Excel read the file as UTF-8, so names and emoji survive
+    const url = URL.createObjectURL(new Blob(['\uFEFF', tableToCsv(table)], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${filePrefix}-${table.id}.csv`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Renders the analytics tables for a post into a container.
+ * @param {HTMLElement} container - The element to fill (its contents are replaced).
+ * @param {object} data - The post data.
+ * @param {string} filePrefix - The start of CSV file names.
+ */
+function renderAnalytics(container, data, filePrefix) {
+    container.innerHTML = '';
+    computeAnalytics(data).forEach(table => {
+        const section = document.createElement('section');
+        section.className = 'analytics-table-section';
+
+        const header = document.createElement('header');
+        header.className = 'analytics-table-header';
+        const title = document.createElement('h3');
+        title.textContent = table.title;
+        const csvButton = document.createElement('button');
+        csvButton.type = 'button';
+        csvButton.className = 'toolbar-button';
+        csvButton.textContent = 'CSV';
+        csvButton.setAttribute('aria-label', `Download "${table.title}" as CSV`);
+        csvButton.disabled = table.rows.length === 0;
+        csvButton.addEventListener('click', () => downloadTableCsv(table, filePrefix));
+        header.append(title, csvButton);
+        section.appendChild(header);
+
+        if (table.rows.length > 0) {
+            const tableEl = document.createElement('table');
+            tableEl.className = 'analytics-table';
+            const headRow = tableEl.createTHead().insertRow();
+            table.columns.forEach(column => {
+                const th = document.createElement('th');
+                th.scope = 'col';
+                th.textContent = column;
+                headRow.appendChild(th);
+            });
+            const body = tableEl.createTBody();
+            table.rows.forEach(row => {
+                const tr = body.insertRow();
+                row.forEach(value => { tr.insertCell().textContent = value; });
+            });
+            section.appendChild(tableEl);
+        }
+
+        if (table.note || table.rows.length === 0) {
+            const note = document.createElement('p');
+            note.className = 'analytics-note';
+            note.textContent = table.note || 'Nothing to show.';
+            section.appendChild(note);
+        }
+        container.appendChild(section);
+    });
+}
@@ -0,0 +1,233 @@
+/**
+ * @file anonymize.js
+ * @description Anonymization for sharing scraped threads: every person gets a stable pseudonym
+ * ("Person 3") and a generated identicon, contact details and profile links are redacted from
+ * messages, links back to Facebook are removed, and the main photo can be blurred. The
+ * bookmarklet keeps its own copy of this logic, since it can't load scripts on Facebook;
+ * cli/build-bookmarklet.js checks that its patterns and settings still match these.
+ */
+
+// --- CONSTANTS --- //
+// Contact details redacted from messages, with the text they are replaced by
+const CONTACT_REDACTIONS = {
+    email: { pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}.-]+\.[\p{L}]{2,}/gu, replacement: '[email]' },
+    profileUrl: {
+        pattern: /(?:https?:\/\/)?(?:[\w-]+\.)?(?:facebook|fb)\.com\/(?:profile\.php\?id=\d+[^\s]*|people\/[^\s/]+\/\d+[^\s]*|(?!(?:about|ads|bookmarks|business|events|friends|fundraisers|gaming|groups|hashtag|help|home\.php|jobs|l\.php|live|login|login\.php|marketplace|media|memories|messages|notifications|pages|people|permalink\.php|photo|photo\.php|photos|policies|privacy|profile\.php|reel|reels|saved|search|settings|share|sharer|sharer\.php|stories|story\.php|video\.php|videos|watch|weather)(?![\w.]))[\w.]+\/?(?:[?#]\S*)?(?![\w./?#]))/giu,
+        replacement: '[profile link]'
+    },
+    // Phone numbers: international (+33 6 12 34 56 78), with a bracketed area code ((555) 123-4567),
+    // national with a leading 0 (020 7946 0958), 555-123-4567 or 5551234567, or a local 555-1234.
+    // Digits that follow a dot or dash, and date shapes, are left alone, so dates, times, scores
+    // and prices aren't redacted.
+    phone: { pattern: /(?<![\p{L}\p{N}+\/=#_.-])(?!\d{1,4}[./-]\d{1,2}[./-]\d{1,4}(?!\d))(?:\+\d{1,3}[\s.-]?\(?\d{1,4}\)?(?:[\s.-]?\d{2,4}){2,4}|\(\d{2,5}\)[\s.-]?\d{2,4}(?:[\s.-]?\d{2,4}){1,2}|0\d{1,4}(?:[\s.-]?\d{2,4}){2,4}|\d{3}[\s.-]?\d{3}[\s.-]?\d{4}|\d{3}[\s.-]\d{4})(?![\p{L}\p{N}]|[.-]\d)/gu, replacement: '[phone]' }
+};
+
+const PSEUDONYM_PREFIX = 'Person';
+
+// Identicons: a 5×5 grid mirrored left to right, in one of these colours
+const IDENTICON_COLORS = ['#1877F2', '#45BD62', '#F7B928', '#F02849', '#9360F7', '#2ABBA7', '#FB724B', '#E42D9A'];
+
+// The blurred photo is the original shrunk to this width and stretched back, which keeps
+// colours and shapes but no faces or text
+const PHOTO_BLUR = { sampleWidth: 32, outputMaxDimension: 800, jpegQuality: 0.8 };
+
+// --- FUNCTIONS --- //
+
+/**
+ * Hashes a string to a 32-bit number (FNV-1a), so identicons are the same on every export.
+ * @param {string} text - The text to hash.
+ * @returns {number} The unsigned hash.
+ */
+function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates an identicon for a pseudonym.
+ * @param {string} seed - The pseudonym.
+ * @returns {string} An SVG image as a data URI.
+ */
+function createIdenticon(seed) {
+    const hash = hashString(seed);
+    const color = IDENTICON_COLORS[hash % IDENTICON_COLORS.length];
+    const cells = [];
+    // 15 bits pick the cells of the left three columns; the right two mirror them
+    for (let bit = 0; bit < 15; bit++) {
+        if (!((hash >>> (bit + 3)) & 1)) continue;
+        const x = Math.floor(bit / 5);
+        const y = bit % 5;
+        cells.push(`<rect x="${x}" y="${y}" width="1" height="1"/>`);
+        if (x < 2) cells.push(`<rect x="${4 - x}" y="${y}" width="1" height="1"/>`);
+    }
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="-1 -1 7 7" shape-rendering="crispEdges"><rect x="-1" y="-1" width="7" height="7" fill="#E4E6EB"/><g fill="${color}">${cells.join('')}</g></svg>`;
+    return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * Assigns a pseudonym to everyone named in the posts, numbered in the order they first appear
+ * (the post author first), so a name gets the same pseudonym in every photo of an album.
+ * @param {Array} posts - The posts (one, or every photo of an album).
+ * @returns {Map} Real name to pseudonym.
+ */
+function createPseudonymMap(posts) {
+    const pseudonyms = new Map();
+    const add = name => {
+        if (typeof name !== 'string' || isMissingValue(name) || pseudonyms.has(name)) return;
+        pseudonyms.set(name, `${PSEUDONYM_PREFIX} ${pseudonyms.size + 1}`);
+    };
+    const addComments = comments => (comments || []).forEach(comment => {
+        add(comment.name);
+        (comment.mentions || []).forEach(mention => add(mention.name));
+        addComments(comment.replies);
+    });
+    posts.forEach(post => {
+        add(post.postAuthor);
+        add(post.likes?.firstLiker);
+        addComments(post.comments);
+        (post.photoTags || []).forEach(tag => add(tag.name));
+    });
+    return pseudonyms;
+}
+
+/**
+ * Replaces every known name in a text with its pseudonym. Longer names are replaced first, so
+ * "Ann Lee" isn't partly replaced as "Ann". Names the scraper never saw (a first name typed in
+ * a reply, say) can't be recognised and stay as they are.
+ * @param {string} text - The text.
+ * @param {Map} pseudonyms - Real name to pseudonym.
+ * @returns {string} The text with names replaced.
+ */
+function replaceNames(text, pseudonyms) {
+    const names = [...pseudonyms.keys()].sort((a, b) => b.length - a.length);
+    if (names.length === 0) return text;
+    const escaped = names.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${escaped.join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+    return text.replace(pattern, name => pseudonyms.get(name));
+}
+
+/**
+ * Redacts email addresses, Facebook profile links and phone numbers from a text.
+ * @param {string} text - The text.
+ * @param {object} counts - Redaction counts by kind ({ email, profileUrl, phone }), increased as text is redacted.
+ * @returns {string} The redacted text.
+ */
+function redactContactDetails(text, counts) {
+    return Object.entries(CONTACT_REDACTIONS).reduce((redacted, [kind, { pattern, replacement }]) =>
+        redacted.replace(pattern, () => {
+            counts[kind] = (counts[kind] || 0) + 1;
+            return replacement;
+        }), text);
+}
+
+/**
+ * Anonymizes the names, texts and links of one post. The photo is handled by anonymizePostData.
+ * @param {object} post - The post data.
+ * @param {Map} pseudonyms - Real name to pseudonym, from createPseudonymMap.
+ * @param {object} counts - Redaction counts, increased as messages are redacted.
+ * @returns {object} A copy of the post.
+ */
+function anonymizePostText(post, pseudonyms, counts) {
+    const pseudonymFor = name => pseudonyms.get(name) || name;
+    const anonymizeText = text => redactContactDetails(replaceNames(text, pseudonyms), counts);
+    // Comment IDs and attachment URLs (Facebook's CDN) lead back to the account as well
+    const anonymizeComments = comments => comments.map(({ profileUrl, permalink, id, ...comment }) => {
+        const anonymized = { ...comment, name: pseudonymFor(comment.name), message: anonymizeText(comment.message) };
+        if (comment.attachments) anonymized.attachments = comment.attachments.map(attachment => ({ ...attachment, url: null }));
+        if (comment.mentions) anonymized.mentions = comment.mentions.map(mention => ({ name: pseudonymFor(mention.name) }));
+        if (comment.previousMessages) anonymized.previousMessages = comment.previousMessages.map(anonymizeText);
+        if (comment.replies) anonymized.replies = anonymizeComments(comment.replies);
+        return anonymized;
+    });
+
+    const { photoUrl, ...anonymized } = post;
+    anonymized.postAuthor = pseudonymFor(post.postAuthor);
+    if (post.likes) anonymized.likes = { ...post.likes, firstLiker: pseudonymFor(post.likes.firstLiker) };
+    anonymized.comments = anonymizeComments(post.comments || []);
+    if (post.photoTags) anonymized.photoTags = post.photoTags.map(({ profileUrl, ...tag }) => ({ ...tag, name: pseudonymFor(tag.name) }));
+
+    // Everyone named in this post gets an identicon; the fallback is a placeholder, not a person
+    anonymized.avatars = { fallback: post.avatars?.fallback || DEFAULT_FALLBACK_AVATAR };
+    createPseudonymMap([post]).forEach((_, name) => {
+        anonymized.avatars[pseudonyms.get(name)] = createIdenticon(pseudonyms.get(name));
+    });
+    if (post.embeddedImages) {
+        anonymized.embeddedImages = {
+            ...post.embeddedImages,
+            avatars: {},
+            skipped: (post.embeddedImages.skipped || []).filter(entry => !entry.startsWith('avatar:'))
+        };
+    }
+    return anonymized;
+}
+
+/**
+ * Makes a blurred copy of a photo.
+ * @param {string} src - The photo's URL or data URI.
+ * @returns {Promise<string>} The blurred photo as a JPEG data URI.
+ * @throws {Error} If the photo can't be read, e.g. a cross-origin image without CORS headers.
+ */
+async function blurPhoto(src) {
+    const response = await fetch(src, { credentials: 'omit' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const bitmap = await createImageBitmap(await response.blob());
+    const sample = document.createElement('canvas');
+    sample.width = PHOTO_BLUR.sampleWidth;
+    sample.height = Math.max(1, Math.round(bitmap.height * PHOTO_BLUR.sampleWidth / bitmap.width));
+    sample.getContext('2d').drawImage(bitmap, 0, 0, sample.width, sample.height);
+    const scale = Math.min(1, PHOTO_BLUR.outputMaxDimension / Math.max(bitmap.width, bitmap.height));
+    const output = document.createElement('canvas');
+    output.width = Math.max(1, Math.round(bitmap.width * scale));
+    output.height = Math.max(1, Math.round(bitmap.height * scale));
+    bitmap.close();
+    const context = output.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(sample, 0, 0, output.width, output.height);
+    return output.toDataURL('image/jpeg', PHOTO_BLUR.jpegQuality);
+}
+
+/**
+ * Anonymizes post data (a single post or an album) for sharing, and records what was done
+ * in an `anonymization` field: { anonymizedAt, transformations, redactions }.
+ * @param {object} data - The post data or album bundle, as it would be exported.
+ * @param {object} [options] - { blurPhoto: true } also blurs the main photo. A photo that can't
+ * be blurred is removed instead, so it never leaves unblurred.
+ * @returns {Promise<object>} The anonymized copy.
+ */
+async function anonymizePostData(data, options = {}) {
+    const isAlbum = isAlbumBundle(data);
+    const posts = isAlbum ? data.photos : [data];
+    const pseudonyms = createPseudonymMap(posts);
+    const counts = { email: 0, profileUrl: 0, phone: 0 };
+    const transformations = ['pseudonyms', 'identicons', 'redact-contacts', 'remove-facebook-links'];
+
+    const anonymizedPosts = [];
+    for (const post of posts) {
+        const anonymized = anonymizePostText(post, pseudonyms, counts);
+        const src = post.embeddedImages?.mainPhoto || post.mainPhotoUrl;
+        if (options.blurPhoto && !isMissingValue(src)) {
+            try {
+                anonymized.mainPhotoUrl = await blurPhoto(src);
+                anonymized.photoBlurred = true;
+            } catch (error) {
+                console.warn('Could not blur the photo, so it was removed:', error);
+                anonymized.mainPhotoUrl = null;
+                anonymized.photoRemoved = true;
+            }
+            if (anonymized.embeddedImages) anonymized.embeddedImages = { ...anonymized.embeddedImages, mainPhoto: null };
+        }
+        anonymizedPosts.push(anonymized);
+    }
+    if (anonymizedPosts.some(post => post.photoBlurred)) transformations.push('blur-photo');
+    if (anonymizedPosts.some(post => post.photoRemoved)) transformations.push('remove-photo');
+
+    const anonymization = { anonymizedAt: new Date().toISOString(), transformations, redactions: counts };
+    const finish = ({ photoBlurred, photoRemoved, ...post }) => ({ ...post, anonymization });
+    if (!isAlbum) return finish(anonymizedPosts[0]);
+    const { albumUrl, ...album } = data;
+    return { ...album, photos: anonymizedPosts.map(finish), anonymization };
+}
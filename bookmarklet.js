@@ -5,114 +5,527 @@
 
 "use strict";
 
+// Version of the JSON format this scraper writes; see schema.js in the viewer.
+const SCHEMA_VERSION = 2;
+
+// Regions of the page that can hold the post details, tried in order: the photo theater's
+// sidebar, a photo opened as a modal over the feed, and the standalone (non-theater) photo page.
+const PAGE_REGIONS = [
+    { name: "theater", selector: 'div[role="complementary"]' },
+    { name: "dialog", selector: 'div[role="dialog"]' },
+    { name: "page", selector: 'div[role="main"]' }
+];
+
+// Text patterns for each supported Facebook interface language. Facebook writes the author
+// into each comment's accessible label ("Comment by Jane Doe 2 hours ago") and uses localized
+// labels and number formats ("1.234", "1,2K", "3 mil") throughout the post.
+// Non-ASCII letters are written as \u escapes so the bookmarklet survives any encoding.
+const LOCALE_PACKS = {
+    en: {
+        commentAuthor: /by (.+?)(?: to .+'s comment| \d| an? |$)/,
+        reactedLabel: "See who reacted",
+        othersPattern: /(.+) and ([\d.,]+\s?[KM]?) others?/i,
+        commentCount: /comments?/i,
+        reactionLabel: "reaction",
+        reactionCount: /([\d.,]+\s?[KM]?)\s+reactions?/i,
+        shareCount: /shares?/i,
+        reactionNames: { like: "Like", love: "Love", care: "Care", haha: "Haha", wow: "Wow", sad: "Sad", angry: "Angry" },
+        closeLabel: "Close",
+        nextPhotoLabel: "Next photo",
+        edited: "Edited",
+        translation: /^See (translation|original)$/,
+        expansionLinks: [
+            /^view (\d+ )?(more|previous) comments?$/i,
+            /^view (all )?[\d,]+ (more )?repl(y|ies)$/i,
+            /^view more replies$/i,
+            /replied \u00b7 [\d,]+ repl(y|ies)$/i,
+            /^[\d,]+ repl(y|ies)$/i,
+            /^see more$/i
+        ],
+        number: { decimal: ".", suffixes: { k: 1e3, m: 1e6 } },
+        dates: {
+            months: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"],
+            relative: { prefix: "", suffix: "ago", one: "an?", units: ["s|secs?|seconds?", "m|mins?|minutes?", "h|hrs?|hours?", "d|days?", "w|wks?|weeks?", "mo|months?", "y|yrs?|years?"] },
+            justNow: /^(just )?now$/i,
+            yesterday: /^yesterday/i
+        }
+    },
+    es: {
+        commentAuthor: /(?:Comentario|Respuesta) de (.+?)(?: al comentario de | a la respuesta de | hace |$)/i,
+        reactedLabel: "Ver qui\u00e9n reaccion\u00f3",
+        othersPattern: /(.+) y ([\d.,]+\s?(?:mil|K|M)?) personas? m\u00e1s/i,
+        commentCount: /comentarios?/i,
+        reactionLabel: "reacci",
+        reactionCount: /([\d.,]+\s?(?:mil|K|M)?)\s+reacci(?:\u00f3n|ones)/i,
+        shareCount: /(?:veces )?compartid[oa]s?/i,
+        reactionNames: { like: "Me gusta", love: "Me encanta", care: "Me importa", haha: "Me divierte", wow: "Me asombra", sad: "Me entristece", angry: "Me enoja" },
+        closeLabel: "Cerrar",
+        nextPhotoLabel: "Foto siguiente",
+        edited: "Editado",
+        translation: /^Ver (traducci\u00f3n|original)$/,
+        expansionLinks: [
+            /^ver (\d+ )?(m\u00e1s comentarios|comentarios anteriores)$/i,
+            /^ver (las )?[\d.,]+ respuestas?( m\u00e1s)?$/i,
+            /^ver m\u00e1s respuestas$/i,
+            /respondi\u00f3 \u00b7 [\d.,]+ respuestas?$/i,
+            /^[\d.,]+ respuestas?$/i,
+            /^ver m\u00e1s$/i
+        ],
+        number: { decimal: ",", suffixes: { mil: 1e3, k: 1e3, m: 1e6 } },
+        dates: {
+            months: ["ene", "feb", "mar", "abr", "may", "jun", "jul", "ago", "sep", "oct", "nov", "dic"],
+            relative: { prefix: "hace", suffix: "", one: "una?|un", units: ["s|seg|segundos?", "min|minutos?", "h|horas?", "d|d\u00edas?", "sem|semanas?", "mes|meses", "a|a\u00f1os?"] },
+            justNow: /^(justo )?ahora( mismo)?$/i,
+            yesterday: /^ayer/i
+        }
+    },
+    fr: {
+        commentAuthor: /(?:Commentaire|R\u00e9ponse) de (.+?)(?: au commentaire de | \u00e0 la r\u00e9ponse de | il y a |$)/i,
+        reactedLabel: "Voir qui a r\u00e9agi",
+        othersPattern: /(.+) et ([\d.,\u00a0\u202f]+\s?[kKM]?) autres? personnes?/i,
+        commentCount: /commentaires?/i,
+        reactionLabel: "r\u00e9action",
+        reactionCount: /([\d.,\u00a0\u202f]+\s?[kKM]?)\s+r\u00e9actions?/i,
+        shareCount: /partages?/i,
+        reactionNames: { like: "J\u2019aime", love: "J\u2019adore", care: "Solidaire", haha: "Haha", wow: "Wouah", sad: "Triste", angry: "Grrr" },
+        closeLabel: "Fermer",
+        nextPhotoLabel: "Photo suivante",
+        edited: "Modifi\u00e9",
+        translation: /^Voir (la traduction|l['\u2019]original|la version originale)$/,
+        expansionLinks: [
+            /^voir (\d+ )?(plus de commentaires|commentaires pr\u00e9c\u00e9dents)$/i,
+            /^voir (les )?[\d.,\u00a0\u202f]+ (autres )?r\u00e9ponses?$/i,
+            /^voir plus de r\u00e9ponses$/i,
+            /a r\u00e9pondu \u00b7 [\d.,\u00a0\u202f]+ r\u00e9ponses?$/i,
+            /^[\d.,\u00a0\u202f]+ r\u00e9ponses?$/i,
+            /^(voir plus|afficher la suite)$/i
+        ],
+        number: { decimal: ",", suffixes: { k: 1e3, m: 1e6 } },
+        dates: {
+            months: ["janv", "f\u00e9v", "mars", "avr", "mai", "juin", "juil", "ao\u00fb", "sept", "oct", "nov", "d\u00e9c"],
+            relative: { prefix: "il y a", suffix: "", one: "une?|un", units: ["s|sec|secondes?", "min|minutes?", "h|heures?", "j|jours?", "sem|semaines?", "mois", "a|ans?|ann\u00e9es?"] },
+            justNow: /^(\u00e0 l['\u2019]instant|maintenant)$/i,
+            yesterday: /^hier/i
+        }
+    },
+    de: {
+        commentAuthor: /(?:Kommentar|Antwort) von (.+?)(?: auf (?:den )?Kommentar von | auf die Antwort von | vor |$)/i,
+        reactedLabel: "Sehen, wer reagiert hat",
+        othersPattern: /(.+) und ([\d.,]+\s?(?:Tsd\.|Mio\.)?) weitere Personen?/i,
+        commentCount: /Kommentare?/i,
+        reactionLabel: "Reaktion",
+        reactionCount: /([\d.,]+\s?(?:Tsd\.|Mio\.)?)\s+Reaktion(?:en)?/i,
+        shareCount: /(?:Mal )?geteilt/i,
+        reactionNames: { like: "Gef\u00e4llt mir", love: "Love", care: "Umarmung", haha: "Haha", wow: "Wow", sad: "Traurig", angry: "W\u00fctend" },
+        closeLabel: "Schlie\u00dfen",
+        nextPhotoLabel: "N\u00e4chstes Foto",
+        edited: "Bearbeitet",
+        translation: /^(\u00dcbersetzung|Original) anzeigen$/,
+        expansionLinks: [
+            /^(weitere|\d+ vorherige) Kommentare (ansehen|anzeigen)$/i,
+            /^(alle )?[\d.,]+ (weitere )?Antworten? (ansehen|anzeigen)$/i,
+            /^weitere Antworten (ansehen|anzeigen)$/i,
+            /hat geantwortet \u00b7 [\d.,]+ Antworten?$/i,
+            /^[\d.,]+ Antworten?$/i,
+            /^mehr (ansehen|anzeigen)$/i
+        ],
+        number: { decimal: ",", suffixes: { "tsd.": 1e3, "mio.": 1e6, k: 1e3 } },
+        dates: {
+            months: ["jan", "feb", "m\u00e4r", "apr", "mai", "jun", "jul", "aug", "sep", "okt", "nov", "dez"],
+            relative: { prefix: "vor", suffix: "", one: "einer?|einem", units: ["Sek|Sekunden?", "Min|Minuten?", "Std|Stunden?", "T|Tag|Tagen?", "W|Wo|Wochen?", "Mon|Monat|Monaten?", "J|Jahr|Jahren?"] },
+            justNow: /^(gerade eben|jetzt)$/i,
+            yesterday: /^gestern/i
+        }
+    }
+};
+
+// Lengths of the relative time units, in the order each language's `dates.relative.units` lists them
+const RELATIVE_UNIT_MS = [1000, 60000, 3600000, 86400000, 604800000, 2592000000, 31536000000];
+
+// A number as Facebook writes it in any supported language, including abbreviations:
+// "12", "1,234", "1.234", "1,2K", "3 mil", "4,5 Tsd."
+const LOCALIZED_NUMBER_PATTERN = /\d(?:[\d.,\u00a0\u202f]*\d)?(?:\s?(?:[KkMm]|mil|Tsd\.|Mio\.)(?![A-Za-z\u00c0-\u024f]))?/g;
+
 /**
- * Finds the core container elements on the Facebook page needed for scraping.
- * This includes the date permalink element, the first comment article,
- * and the common ancestor that holds these main sections.
- * @returns {object|null} An object containing references to headerDiv, statsDiv,
- * commentsDiv, and datePermalink, or null if any critical element is not found.
+ * Works out which language the Facebook interface is in. The page's lang attribute is used
+ * when it names a supported language; otherwise the comments' accessible labels are checked
+ * against each language's pattern.
+ * @param {object} diagnostics - The diagnostics report; the result is recorded in diagnostics.locale.
+ * @returns {object|null} The matching entry of LOCALE_PACKS, or null if the language isn't supported.
  */
-function findCoreContainers() {
-    console.log("--- Finding Core Containers ---");
+function detectLocale(diagnostics) {
+    const lang = (document.documentElement.getAttribute("lang") || "").toLowerCase();
+    const code = lang.split(/[-_]/)[0];
+    if (LOCALE_PACKS[code]) {
+        diagnostics.locale = { lang, detected: code, source: "html-lang" };
+        return LOCALE_PACKS[code];
+    }
+
+    const labels = Array.from(document.querySelectorAll('div[role="article"][aria-label]'))
+        .slice(0, 20)
+        .map(el => el.getAttribute("aria-label"));
+    const match = Object.entries(LOCALE_PACKS).find(([, pack]) => labels.some(label => pack.commentAuthor.test(label)));
+    diagnostics.locale = { lang, detected: match ? match[0] : null, source: match ? "comment-labels" : null };
+    console.log(`Interface language: ${diagnostics.locale.detected || "unsupported"} (lang="${lang}")`);
+    return match ? match[1] : null;
+}
 
-    // 1. Find the permalink for the date.
-    // User-specified rule: Find the first hyperlink that includes "/photo/" in its href,
-    // specifically within the element with role="complementary".
-    console.log("Searching for date permalink...");
-    const complementaryElement = document.querySelector('div[role="complementary"]');
+/**
+ * Parses a number the way Facebook writes it in the given language: "1,234" and "1.2K" in
+ * English, "1.234" and "1,2 mil" in Spanish, "4,5 Tsd." in German.
+ * Without a known language, the separator is guessed: one followed by exactly three digits
+ * (and no abbreviation) is a thousands separator, anything else is a decimal point.
+ * @param {string} text - The number text.
+ * @param {object|null} locale - The entry of LOCALE_PACKS for the page, or null if unknown.
+ * @returns {number} The parsed number, or 0 if the text holds no number.
+ */
+function parseLocalizedNumber(text, locale) {
+    const match = String(text).match(/(\d(?:[\d.,\s\u00a0\u202f]*\d)?)\s?([A-Za-z]+\.?)?/);
+    if (!match) {
+        return 0;
+    }
+
+    const digits = match[1].replace(/[\s\u00a0\u202f]/g, "");
+    const suffix = (match[2] || "").toLowerCase();
+    const suffixes = locale ? locale.number.suffixes : Object.assign({}, ...Object.values(LOCALE_PACKS).map(pack => pack.number.suffixes));
+    const multiplier = suffixes[suffix] || suffixes[suffix.replace(/\.$/, "")] || 1;
+
+    let decimal = locale ? locale.number.decimal : null;
+    if (!decimal) {
+        const lastSeparator = Math.max(digits.lastIndexOf("."), digits.lastIndexOf(","));
+        const isGrouping = lastSeparator !== -1 && digits.length - lastSeparator - 1 === 3 && multiplier === 1;
+        decimal = lastSeparator === -1 || isGrouping ? null : digits[lastSeparator];
+    }
+
+    const normalized = decimal
+        ? digits.split(decimal === "," ? "." : ",").join("").replace(decimal, ".")
+        : digits.replace(/[.,]/g, "");
+    return Math.round(parseFloat(normalized) * multiplier) || 0;
+}
 
-    if (!complementaryElement) {
-        console.error("Could not find the element with role='complementary'. Orientation failed.");
+/**
+ * Reads the time of day from a date string: "10:15 PM", "22:15", "22 h 15".
+ * @param {string} text - The date text.
+ * @returns {object|null} { hours, minutes }, or null if the text has no time.
+ */
+function readTimeOfDay(text) {
+    const match = text.match(/(\d{1,2})\s?(?::|h\s?)(\d{2})(?:\s?([ap])\.?\s?m\.?)?/i);
+    if (!match) {
         return null;
     }
-    console.log("Found complementary element:", complementaryElement);
-    const datePermalink = Array.from(complementaryElement.querySelectorAll("a")).find(a => {
-        // 1) Check if it has tabindex="0" and role="link"
-        if (a.getAttribute('tabindex') !== '0' || a.getAttribute('role') !== 'link') {
-            return false;
-        }
+    let hours = parseInt(match[1], 10) % 24;
+    const meridiem = (match[3] || "").toLowerCase();
+    if (meridiem === "p" && hours < 12) hours += 12;
+    if (meridiem === "a" && hours === 12) hours = 0;
+    return { hours, minutes: parseInt(match[2], 10) };
+}
 
-        // 2) Check if href includes "/photo/"
-        if (!a.href.includes("/photo/")) {
-            return false;
-        }
+/**
+ * Converts a Facebook date string in one language to a Date: relative times ("8 h", "2 hours ago",
+ * "hace 3 d\u00edas", "Yesterday at 10:15 PM") and absolute dates ("March 3 at 10:15 PM",
+ * "Monday, March 3, 2025 at 10:15 PM", "3. M\u00e4rz 2024 um 22:15"). Dates without a year are
+ * taken to be in the past year.
+ * @param {string} text - The date text.
+ * @param {object} dates - The `dates` entry of a LOCALE_PACKS language.
+ * @param {Date} now - The time the page was read, which relative dates count back from.
+ * @returns {Date|null} The date, or null if the text isn't a date in this language.
+ */
+function parseDateInLocale(text, dates, now) {
+    if (dates.justNow.test(text)) {
+        return new Date(now);
+    }
 
-        // 3) Check if it has more than 6 descendant span elements
-        const spans = a.querySelectorAll('span');
-        if (spans.length <= 6) {
-            return false;
+    const { prefix, suffix, one, units } = dates.relative;
+    for (let i = 0; i < units.length; i++) {
+        const pattern = new RegExp(`^(?:${prefix || "(?!)"}\\s+)?(\\d+|${one})\\s?(?:${units[i]})\\.?(?:\\s+${suffix || "(?!)"})?$`, "i");
+        const match = text.match(pattern);
+        if (match) {
+            const count = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : 1;
+            return new Date(now.getTime() - count * RELATIVE_UNIT_MS[i]);
         }
+    }
 
-        // 4) Check if ALL descendants (direct or indirect) are ONLY <span> elements
-        const allDescendants = a.querySelectorAll('*'); // Selects all descendant elements
-        for (const descendant of allDescendants) {
-            if (descendant.tagName.toLowerCase() !== 'span') {
-                return false; // Found a non-span descendant, so this element doesn't match
-            }
+    const time = readTimeOfDay(text) || { hours: 0, minutes: 0 };
+    if (dates.yesterday.test(text)) {
+        const date = new Date(now.getTime() - RELATIVE_UNIT_MS[3]);
+        date.setHours(time.hours, time.minutes, 0, 0);
+        return date;
+    }
+
+    // The day number sits right before the month name ("3 de marzo", "3. M\u00e4rz") or right after it ("March 3")
+    for (let month = 0; month < dates.months.length; month++) {
+        const stem = dates.months[month];
+        const dayMatch = text.match(new RegExp(`(?:^|[^\\d])(\\d{1,2})\\.?\\s+(?:de\\s+)?${stem}`, "i")) ||
+            text.match(new RegExp(`(?:^|[\\s,])${stem}[^\\s\\d]*\\s+(\\d{1,2})(?!\\d)`, "i"));
+        if (!dayMatch) {
+            continue;
         }
+        const yearMatch = text.match(/(?:^|\D)(\d{4})(?!\d)/);
+        let date = new Date(yearMatch ? parseInt(yearMatch[1], 10) : now.getFullYear(), month, parseInt(dayMatch[1], 10), time.hours, time.minutes);
+        if (!yearMatch && date.getTime() > now.getTime() + RELATIVE_UNIT_MS[3]) {
+            date.setFullYear(date.getFullYear() - 1);
+        }
+        return date;
+    }
+    return null;
+}
 
-        // If all checks pass, this is the element we're looking for
-        return true;
-    });
-    
-    if (!datePermalink) {
-        console.error("Could not find the unique date permalink containing '/photo/' within the complementary element. Orientation failed.");
+/**
+ * Converts a Facebook date string to an ISO-8601 timestamp, trying the page language
+ * first and then every other supported language.
+ * @param {string|null} text - The date text, e.g. "8 h" or "Monday, March 3, 2025 at 10:15 PM".
+ * @param {object|null} locale - The entry of LOCALE_PACKS for the page, or null if unknown.
+ * @param {Date} [now] - The time the page was read.
+ * @returns {string|null} The ISO timestamp, or null if the text couldn't be understood.
+ */
+function parseFacebookDate(text, locale, now = new Date()) {
+    if (!text) {
         return null;
     }
-    console.log("Found date permalink element:", datePermalink);
+    const cleaned = text.replace(/[\s\u00a0\u202f]+/g, " ").trim();
+    const packs = [locale, ...Object.values(LOCALE_PACKS).filter(pack => pack !== locale)].filter(Boolean);
+    for (const pack of packs) {
+        const date = parseDateInLocale(cleaned, pack.dates, now);
+        if (date && !Number.isNaN(date.getTime())) {
+            return date.toISOString();
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks whether a link is the post's date permalink using the original, strict rule:
+ * a focusable link to "/photo/" whose content is made up entirely of many <span> elements
+ * (Facebook scrambles the date text across spans).
+ * @param {HTMLAnchorElement} a - The link to check.
+ * @returns {boolean} True if the link matches the strict rule.
+ */
+function isStrictDatePermalink(a) {
+    // 1) Check if it has tabindex="0" and role="link"
+    if (a.getAttribute('tabindex') !== '0' || a.getAttribute('role') !== 'link') {
+        return false;
+    }
 
-    // 2. Find the first comment article. This helps in identifying the main content block.
-    console.log("Searching for first comment article...");
-    const firstCommentArticle = document.querySelector('div[role="article"]');
+    // 2) Check if href includes "/photo/"
+    if (!a.href.includes("/photo/")) {
+        return false;
+    }
 
-    if (!firstCommentArticle) {
-        console.error("Could not find any comment articles. Orientation failed.");
-        return null;
+    // 3) Check if it has more than 6 descendant span elements
+    const spans = a.querySelectorAll('span');
+    if (spans.length <= 6) {
+        return false;
     }
-    console.log("Found first comment article:", firstCommentArticle);
 
-    // 3. Find the common ancestor that contains both the date permalink and the first comment.
-    // This ancestor is expected to have 4 DIV children representing different sections of the post.
-    const datePermalinkAncestors = new Set();
-    let current = datePermalink.parentElement;
-    while (current) {
-        datePermalinkAncestors.add(current);
-        current = current.parentElement;
+    // 4) Check if ALL descendants (direct or indirect) are ONLY <span> elements
+    const allDescendants = a.querySelectorAll('*'); // Selects all descendant elements
+    for (const descendant of allDescendants) {
+        if (descendant.tagName.toLowerCase() !== 'span') {
+            return false; // Found a non-span descendant, so this element doesn't match
+        }
     }
 
-    let commonAncestor = null;
-    current = firstCommentArticle.parentElement;
-    while (current) {
-        if (datePermalinkAncestors.has(current)) {
-            // Check if this common ancestor has exactly 4 direct DIV children
-            const divChildren = Array.from(current.children).filter(el => el.tagName === "DIV");
-            if (divChildren.length === 4) {
-                commonAncestor = current;
-                break;
-            }
+    // If all checks pass, this is the element we're looking for
+    return true;
+}
+
+/**
+ * Checks whether a link looks like a date permalink under a looser rule: a short, text-only
+ * link to a photo or post. Used when Facebook changes the span structure of the date.
+ * @param {HTMLAnchorElement} a - The link to check.
+ * @returns {boolean} True if the link plausibly holds the post date.
+ */
+function isLooseDatePermalink(a) {
+    const text = a.textContent.trim();
+    return /\/(photo|photos|posts|permalink)[/.?]/.test(a.href) &&
+        text.length > 0 && text.length < 40 &&
+        !a.querySelector('img, svg, image');
+}
+
+/**
+ * Tells whether the page is rendered. A saved copy read offline (see cli/extract.js) has no
+ * layout: every size and position is zero, so steps that rely on them fall back to document order.
+ * @returns {boolean} True if elements have sizes and positions.
+ */
+function pageHasLayout() {
+    return document.documentElement.clientWidth > 0;
+}
+
+/**
+ * Returns an element's text as rendered, or its text content where there is no layout.
+ * @param {HTMLElement} element - The element.
+ * @returns {string} The element's text.
+ */
+function readElementText(element) {
+    return element.innerText ?? element.textContent;
+}
+
+/**
+ * Walks up from an element and returns the first ancestor matching a test.
+ * @param {HTMLElement} element - The element to start from (not itself tested).
+ * @param {function} test - Called with each ancestor; return true to stop.
+ * @param {number} [maxLevels=Infinity] - How many levels to climb at most.
+ * @returns {HTMLElement|null} The matching ancestor, or null.
+ */
+function findAncestor(element, test, maxLevels = Infinity) {
+    let current = element ? element.parentElement : null;
+    for (let level = 0; current && level < maxLevels; level++) {
+        if (test(current)) {
+            return current;
         }
         current = current.parentElement;
     }
+    return null;
+}
 
-    if (!commonAncestor) {
-        console.error("Could not find a common ancestor with 4 DIV children.");
-        return null;
+/**
+ * Tries each strategy in order until one locates the requested element, recording
+ * which strategy succeeded and which ones failed in the diagnostics report.
+ * @param {string} field - The name of the field being located (e.g., "statsDiv").
+ * @param {Array} strategies - Ordered { name, selector, find } objects; find() returns an element or null.
+ * @param {object} diagnostics - The diagnostics report to update.
+ * @returns {HTMLElement|null} The located element, or null if every strategy failed.
+ */
+function locateField(field, strategies, diagnostics) {
+    for (const strategy of strategies) {
+        let element = null;
+        try {
+            element = strategy.find();
+        } catch (error) {
+            console.warn(`Strategy "${strategy.name}" for ${field} threw an error:`, error);
+        }
+        if (element) {
+            console.log(`Found ${field} using strategy "${strategy.name}":`, element);
+            diagnostics.fields[field] = strategy.name;
+            return element;
+        }
+        diagnostics.failedAttempts.push({ field, strategy: strategy.name, selector: strategy.selector });
+    }
+    console.error(`Could not find ${field}; every strategy failed.`);
+    diagnostics.fields[field] = null;
+    return null;
+}
+
+/**
+ * Finds the core container elements on the Facebook page needed for scraping.
+ * Each container is located independently through an ordered list of fallback strategies,
+ * so a layout change that breaks one of them doesn't stop the others from being scraped.
+ * @returns {object} An object containing references to headerDiv, statsDiv, commentsDiv,
+ * and datePermalink (each may be null), plus a diagnostics report describing how each
+ * was found and which selectors failed.
+ */
+function findCoreContainers() {
+    console.log("--- Finding Core Containers ---");
+
+    const diagnostics = { region: null, fields: {}, failedAttempts: [] };
+
+    // 1. Pick the region of the page that holds the post details.
+    let region = null;
+    for (const candidate of PAGE_REGIONS) {
+        region = document.querySelector(candidate.selector);
+        if (region) {
+            diagnostics.region = candidate.name;
+            console.log(`Using the ${candidate.name} layout:`, region);
+            break;
+        }
+        diagnostics.failedAttempts.push({ field: "region", strategy: candidate.name, selector: candidate.selector });
+    }
+    if (!region) {
+        region = document.body;
+        diagnostics.region = "document";
     }
 
-    // Assign the found DIV children to meaningful names based on their expected content.
-    const divChildren = Array.from(commonAncestor.children).filter(el => el.tagName === "DIV");
-    return {
-        headerDiv: divChildren[0],    // Expected to contain post author/location
-        statsDiv: divChildren[1],     // Expected to contain likes/comments count
-        commentsDiv: divChildren[3],  // Expected to contain comments section
-        datePermalink: datePermalink  // The date permalink element itself
-    };
+    const regionLinks = () => Array.from(region.querySelectorAll("a"));
+    // The "See who reacted" label, in any supported language
+    const reactedSelector = Object.values(LOCALE_PACKS).map(pack => `[aria-label*="${pack.reactedLabel}"]`).join(", ");
+    const regionArticles = () => Array.from(region.querySelectorAll('div[role="article"]'));
+
+    // 2. Find the permalink for the date.
+    const datePermalink = locateField("datePermalink", [
+        { name: "strict-span-link", selector: 'a[role="link"][tabindex="0"][href*="/photo/"]', find: () => regionLinks().find(isStrictDatePermalink) },
+        { name: "short-text-link", selector: 'a[href*="/photo"], a[href*="/posts/"], a[href*="/permalink"]', find: () => regionLinks().find(isLooseDatePermalink) },
+        { name: "abbr-timestamp", selector: "a abbr", find: () => region.querySelector("abbr")?.closest("a") }
+    ], diagnostics);
+
+    // 3. Find the section ancestor: the element that contains both the date permalink and the
+    // first comment and has 4 DIV children (header, stats, actions, comments). On pages without
+    // comments, the nearest ancestor of the date permalink with 4 DIV children is used instead.
+    const divChildrenOf = el => Array.from(el.children).filter(child => child.tagName === "DIV");
+    const firstCommentArticle = regionArticles()[0] || null;
+    let sections = null;
+    if (datePermalink) {
+        const sectionAncestor = findAncestor(datePermalink, el =>
+            divChildrenOf(el).length === 4 && (!firstCommentArticle || el.contains(firstCommentArticle)));
+        if (sectionAncestor) {
+            sections = divChildrenOf(sectionAncestor);
+        }
+    }
+
+    const headerDiv = locateField("headerDiv", [
+        { name: "section-ancestor", selector: "ancestor with 4 DIV children, child 1", find: () => sections && sections[0] },
+        { name: "author-heading", selector: "h2 a, h3 a, strong a", find: () => findAncestor(datePermalink, el => el.querySelector("h2 a, h3 a, strong a") !== null, 10) },
+        { name: "region-heading", selector: "h2", find: () => region.querySelector("h2")?.parentElement }
+    ], diagnostics);
+
+    const statsDiv = locateField("statsDiv", [
+        { name: "section-ancestor", selector: "ancestor with 4 DIV children, child 2", find: () => sections && sections[1] },
+        {
+            name: "reactions-summary",
+            selector: reactedSelector,
+            find: () => findAncestor(region.querySelector(reactedSelector), el => Object.values(LOCALE_PACKS).some(pack => pack.commentCount.test(readElementText(el))), 6)
+        }
+    ], diagnostics);
+
+    const commentsDiv = locateField("commentsDiv", [
+        { name: "section-ancestor", selector: "ancestor with 4 DIV children, child 4", find: () => sections && sections[3] },
+        {
+            name: "article-ancestor",
+            selector: 'div[role="article"]',
+            find: () => {
+                const articles = regionArticles();
+                if (articles.length === 0) return null;
+                const lastArticle = articles[articles.length - 1];
+                return findAncestor(articles[0], el => el.contains(lastArticle));
+            }
+        }
+    ], diagnostics);
+
+    if (!commentsDiv && !firstCommentArticle) {
+        console.log("No comment articles on the page; treating the post as having no comments.");
+        diagnostics.fields.commentsDiv = "none-on-page";
+    }
+
+    return { headerDiv, statsDiv, commentsDiv, datePermalink, diagnostics };
+}
+
+// Field results in the diagnostics report that aren't the name of the strategy that found it
+const DIAGNOSTIC_RESULT_LABELS = {
+    "none-on-page": "none on page"
+};
+
+/**
+ * Formats the diagnostics report from findCoreContainers as readable text for the user.
+ * @param {object} diagnostics - The diagnostics report.
+ * @returns {string} One line per field, plus the selectors that failed.
+ */
+function formatDiagnostics(diagnostics) {
+    const lines = [`Page layout: ${diagnostics.region}`];
+    Object.entries(diagnostics.fields).forEach(([field, strategy]) => {
+        const result = !strategy ? "NOT FOUND" : DIAGNOSTIC_RESULT_LABELS[strategy] || `found (${strategy})`;
+        lines.push(`${field}: ${result}`);
+    });
+    const failedFields = Object.keys(diagnostics.fields).filter(field => !diagnostics.fields[field]);
+    diagnostics.failedAttempts
+        .filter(attempt => failedFields.includes(attempt.field))
+        .forEach(attempt => lines.push(`  tried ${attempt.field} via ${attempt.strategy}: ${attempt.selector}`));
+    return lines.join("\n");
 }
 
 /**
  * Scrapes the URL of the main photo from the page.
  * It now iterates through all 'div[role="main"]' elements, checks if they are visible,
- * and then looks for the image within the visible main div.
+ * and then looks for the image within the visible main div. Without layout, the first
+ * main div holding an image is used.
  * @returns {string} The URL of the main photo, or a "NOT_FOUND" string if not found.
  */
 function scrapeMainPhoto() {
@@ -126,11 +539,12 @@ function scrapeMainPhoto() {
 
     const imageSelector = 'img[data-visualcompletion="media-vc-image"]';
     let mainPhotoUrl = null;
+    const hasLayout = pageHasLayout();
 
     for (let i = 0; i < mainDivs.length; i++) {
         const currentMainDiv = mainDivs[i];
         // Check if the div is visible (has a non-zero offsetHeight or clientHeight)
-        if (currentMainDiv.offsetHeight > 0 || currentMainDiv.clientHeight > 0) {
+        if (!hasLayout || currentMainDiv.offsetHeight > 0 || currentMainDiv.clientHeight > 0) {
             console.log(`Checking visible div[role='main'] #${i + 1}:`, currentMainDiv);
             const mainPhotoEl = currentMainDiv.querySelector(imageSelector);
             if (mainPhotoEl) {
@@ -148,9 +562,86 @@ function scrapeMainPhoto() {
     return mainPhotoUrl;
 }
 
+/**
+ * Reads the position of a tag element over the photo as fractions of the photo's size.
+ * Facebook positions tag boxes with percentage left/top styles; if those are absent, the
+ * element's rendered position relative to the photo is used instead (not possible without layout).
+ * @param {HTMLElement} tagEl - The tag element.
+ * @param {HTMLElement} photoEl - The photo's <img> element.
+ * @returns {object|null} { x, y } between 0 and 1, or null if the position can't be read.
+ */
+function readTagPosition(tagEl, photoEl) {
+    const positioned = tagEl.closest('[style*="left"][style*="top"]');
+    if (positioned && positioned.style.left.endsWith('%') && positioned.style.top.endsWith('%')) {
+        return { x: parseFloat(positioned.style.left) / 100, y: parseFloat(positioned.style.top) / 100 };
+    }
+    const photoRect = photoEl.getBoundingClientRect();
+    const tagRect = tagEl.getBoundingClientRect();
+    if (photoRect.width === 0 || tagRect.width === 0) {
+        return null;
+    }
+    return {
+        x: (tagRect.left + tagRect.width / 2 - photoRect.left) / photoRect.width,
+        y: (tagRect.top + tagRect.height / 2 - photoRect.top) / photoRect.height
+    };
+}
+
+/**
+ * Scrapes the people tagged in the photo and where their tags sit on it.
+ * Tags are profile links layered over the photo inside the photo's container; other links
+ * there (the photo's own permalink, pages, hashtags) are not tags.
+ * @returns {Array} An array of { name, profileUrl, x, y } objects, with x and y as fractions of the photo size.
+ */
+function scrapePhotoTags() {
+    const hasLayout = pageHasLayout();
+    const photoEl = Array.from(document.querySelectorAll('div[role="main"] img[data-visualcompletion="media-vc-image"]'))
+        .find(img => !hasLayout || img.offsetHeight > 0);
+    if (!photoEl) {
+        return [];
+    }
+
+    // The tag layer is a sibling of the image a few levels up
+    const photoContainer = photoEl.parentElement?.parentElement?.parentElement || photoEl.parentElement;
+    const tags = [];
+    photoContainer.querySelectorAll('a[href]').forEach(link => {
+        if (!isProfileUrl(link.href)) {
+            return;
+        }
+        const name = (link.getAttribute('aria-label') || link.textContent).trim();
+        const position = readTagPosition(link, photoEl);
+        if (!name || !position || position.x < 0 || position.x > 1 || position.y < 0 || position.y > 1) {
+            return;
+        }
+        if (!tags.some(tag => tag.name === name)) {
+            tags.push({ name, profileUrl: cleanFacebookUrl(link.href), x: position.x, y: position.y });
+        }
+    });
+    console.log(`Found ${tags.length} photo tag(s).`);
+    return tags;
+}
+
+/**
+ * Joins the single characters of a split date, with a space where digits meet letters ("8 h").
+ * @param {string[]} parts - The characters, in reading order.
+ * @returns {string} The date text.
+ */
+function joinDateParts(parts) {
+    return parts.reduce((acc, currentText, index) => {
+        if (index === 0) {
+            return currentText;
+        }
+        const prevText = parts[index - 1];
+        // Add a space if the previous part was a number and the current is not, or vice versa
+        // This helps in cases like "8h" vs "8 h"
+        return (/\d/.test(prevText) !== /\d/.test(currentText)) ? acc + " " + currentText : acc + currentText;
+    }, "");
+}
+
 /**
  * Scrapes the post date from the provided date permalink element.
  * Handles cases where the date might be split by single-character spans (e.g., "8h").
+ * Those are put in order by their rendered position; without layout, document order is used
+ * and spans hidden with an inline style are skipped.
  * @param {HTMLElement} datePermalink - The HTML element containing the date.
  * @returns {string} The extracted post date, or "DATE_NOT_FOUND".
  */
@@ -168,6 +659,11 @@ function scrapePostDate(datePermalink) {
         return datePermalink.textContent.trim() || "DATE_NOT_FOUND";
     }
 
+    if (!pageHasLayout()) {
+        const shownSpans = singleCharSpans.filter(span => !span.closest('[style*="display: none"], [style*="display:none"]'));
+        return joinDateParts(shownSpans.map(span => span.textContent)) || "DATE_NOT_FOUND";
+    }
+
     // If single-character spans are found, reconstruct the date based on their position
     const sortedSpans = singleCharSpans.map(span => {
         const rect = span.getBoundingClientRect();
@@ -183,23 +679,48 @@ function scrapePostDate(datePermalink) {
     if (sortedSpans.length > 0) {
         // Filter elements that are on the same "line" as the first element
         const firstLineY = sortedSpans[0].y;
-        const dateParts = sortedSpans.filter(span => Math.abs(span.y - firstLineY) < 5)
-            .reduce((acc, current, index, array) => {
-                const currentText = current.text;
-                if (index === 0) {
-                    return currentText;
-                }
-                const prevText = array[index - 1].text;
-                // Add a space if the previous part was a number and the current is not, or vice versa
-                // This helps in cases like "8h" vs "8 h"
-                return (/\d/.test(prevText) !== /\d/.test(currentText)) ? acc + " " + currentText : acc + currentText;
-            }, "");
-        return dateParts;
+        return joinDateParts(sortedSpans.filter(span => Math.abs(span.y - firstLineY) < 5).map(span => span.text));
     }
 
     return "DATE_NOT_FOUND";
 }
 
+/**
+ * Works out when the post was published. The date link's tooltip or accessible label holds the
+ * full date ("Monday, March 3, 2025 at 10:15 PM") and is preferred over the visible text,
+ * which is usually relative ("8 h").
+ * @param {HTMLElement} datePermalink - The date permalink element.
+ * @param {string} postDate - The visible date text from scrapePostDate.
+ * @param {object|null} locale - The entry of LOCALE_PACKS for the page, or null if unknown.
+ * @param {Date} now - The time the page was read.
+ * @returns {string|null} The ISO timestamp, or null if it couldn't be worked out.
+ */
+function scrapePostTimestamp(datePermalink, postDate, locale, now) {
+    if (!datePermalink) {
+        return null;
+    }
+
+    // Older layouts carry the Unix time on an <abbr data-utime>
+    const utime = datePermalink.querySelector("[data-utime]")?.getAttribute("data-utime");
+    if (utime && /^\d+$/.test(utime)) {
+        return new Date(parseInt(utime, 10) * 1000).toISOString();
+    }
+
+    const candidates = [
+        datePermalink.getAttribute("aria-label"),
+        datePermalink.getAttribute("title"),
+        datePermalink.querySelector("[title]")?.getAttribute("title"),
+        postDate === "DATE_NOT_FOUND" ? null : postDate
+    ];
+    for (const text of candidates) {
+        const timestamp = parseFacebookDate(text, locale, now);
+        if (timestamp) {
+            return timestamp;
+        }
+    }
+    return null;
+}
+
 /**
  * Scrapes the post author and location from the header division.
  * @param {HTMLElement} headerDiv - The HTML element containing author and location.
@@ -228,124 +749,519 @@ function scrapePostAuthorAndMeta(headerDiv, datePermalink) {
 }
 
 /**
- * Scrapes engagement metrics (likes and total comments) from the stats division.
+ * Reads the number written right before a word in the stats text, e.g. "1.2K" in "1.2K comments".
+ * @param {string} statsText - The stats division's text.
+ * @param {RegExp[]} words - The word in each language to try.
+ * @param {object|null} locale - The entry of LOCALE_PACKS for the page, or null if unknown.
+ * @returns {object|null} { count, text } where text is the whole "number word" phrase, or null if not found.
+ */
+function readCountBefore(statsText, words, locale) {
+    for (const word of words) {
+        const match = statsText.match(new RegExp(`(${LOCALIZED_NUMBER_PATTERN.source})\\s*(?:${word.source})`, "i"));
+        if (match) {
+            return { count: parseLocalizedNumber(match[1], locale), text: match[0] };
+        }
+    }
+    return null;
+}
+
+/**
+ * Scrapes engagement metrics from the stats division: who reacted, the total reaction count,
+ * and the comment and share counts. Each count is read from the number next to its own label,
+ * so "12 comments 3 shares" doesn't report 3 comments.
  * @param {HTMLElement} statsDiv - The HTML element containing engagement numbers.
- * @returns {object} An object with likes (firstLiker, otherCount) and totalComments.
+ * @param {object|null} locale - The entry of LOCALE_PACKS for the page; null tries every language.
+ * @returns {object} { likes: { firstLiker, otherCount }, totalReactions, totalComments, shares }.
  */
-function scrapeEngagement(statsDiv) {
+function scrapeEngagement(statsDiv, locale) {
     let likes = { firstLiker: "", otherCount: 0 };
+    let totalReactions = 0;
     let totalComments = 0;
+    let shares = 0;
 
     if (!statsDiv) {
-        return { likes, totalComments };
-    }
-
-    const statsText = statsDiv.innerText;
-
-    // Attempt to parse numbers from the innerText
-    const numbers = statsText.match(/\d+/g);
-    if (numbers && numbers.length > 0) {
-        // Heuristic: first number is often "otherCount" for likes, last is "totalComments"
-        likes.otherCount = parseInt(numbers[0], 10) || 0;
-        if (numbers.length > 1) {
-            totalComments = parseInt(numbers[numbers.length - 1], 10) || 0;
-        } else if (/comment/i.test(statsDiv.innerText)) {
-            // If only one number and "comment" is in text, assume it's total comments
-            totalComments = likes.otherCount;
-            likes.otherCount = 0; // Reset otherCount if it was actually comments
-        }
-    }
-
-    // Look for the specific aria-label for likers to get "firstLiker"
-    const likersElement = statsDiv.querySelector('[aria-label*="See who reacted"]');
-    if (likersElement) {
-        const likersText = likersElement.innerText.trim();
-        if (likersText) {
-            const match = likersText.match(/(.+) and ([\d,]+) others?/);
-            if (match) {
-                likes.firstLiker = match[1].trim();
-                likes.otherCount = parseInt(match[2].replace(/,/g, ""), 10);
-            } else if (!/^\d+$/.test(likersText)) {
-                // If it's not just a number, assume it's the first liker's name
-                likes.firstLiker = likersText;
-            }
+        return { likes, totalReactions, totalComments, shares };
+    }
+
+    const packs = locale ? [locale] : Object.values(LOCALE_PACKS);
+    let statsText = readElementText(statsDiv);
+
+    const commentCount = readCountBefore(statsText, packs.map(pack => pack.commentCount), locale);
+    const shareCount = readCountBefore(statsText, packs.map(pack => pack.shareCount), locale);
+    if (commentCount) {
+        totalComments = commentCount.count;
+        statsText = statsText.replace(commentCount.text, " ");
+    }
+    if (shareCount) {
+        shares = shareCount.count;
+        statsText = statsText.replace(shareCount.text, " ");
+    }
+
+    // The reactions summary reads "Jane Doe and 12 others", a name, or just a count ("1.2K")
+    const likersPack = packs.find(pack => statsDiv.querySelector(`[aria-label*="${pack.reactedLabel}"]`));
+    const likersText = likersPack ? readElementText(statsDiv.querySelector(`[aria-label*="${likersPack.reactedLabel}"]`)).trim() : "";
+    const othersMatch = likersText && likersText.match(likersPack.othersPattern);
+    if (othersMatch) {
+        likes.firstLiker = othersMatch[1].trim();
+        likes.otherCount = parseLocalizedNumber(othersMatch[2], locale || likersPack);
+        totalReactions = likes.otherCount + 1;
+    } else if (likersText && !/^[\d.,\s\u00a0\u202f]+(?:[KkMm]|mil|Tsd\.|Mio\.)?$/.test(likersText)) {
+        likes.firstLiker = likersText;
+        totalReactions = 1;
+    } else {
+        // Whatever number is left once the comment and share counts are removed is the reaction count
+        const remaining = statsText.match(LOCALIZED_NUMBER_PATTERN);
+        if (remaining) {
+            totalReactions = parseLocalizedNumber(remaining[0], locale);
+            likes.otherCount = totalReactions;
         }
     }
 
-    return { likes, totalComments };
+    return { likes, totalReactions, totalComments, shares };
 }
 
+// Reaction types in the order Facebook lists them
+const REACTION_TYPES = ["like", "love", "care", "haha", "wow", "sad", "angry"];
+
+// Limits for reading the reactions dialog, which lists every reaction type rather than the top three
+const REACTIONS_DIALOG_LIMITS = {
+    timeoutMs: 5000,        // Give up if the dialog hasn't appeared by then
+    pollDelayMs: 250        // Time between checks for the dialog
+};
+
 /**
- * Scrapes comments and their associated avatars from the comments division.
- * Builds a nested structure for replies and collects avatar URLs.
- * @param {HTMLElement} commentsDiv - The HTML element containing comments.
- * @param {string} postAuthorName - The name of the post author, to associate their avatar.
- * @returns {object} An object with an array of comments and an object mapping names to avatar URLs.
+ * Reads per-type reaction counts from labelled elements: the reaction icons in the stats bar
+ * ("Love: 12 people") or the tabs of the reactions dialog ("Haha, 3", or an icon with alt text
+ * next to a count).
+ * @param {HTMLElement} root - The element to search.
+ * @param {object|null} locale - The entry of LOCALE_PACKS for the page; null tries every language.
+ * @returns {object} Counts keyed by reaction type; types that weren't found are left out.
  */
-function scrapeCommentsAndAvatars(commentsDiv, postAuthorName) {
-    const avatars = {}; // Stores avatar URLs: { "Name": "url", ... }
+function readReactionCounts(root, locale) {
+    const counts = {};
+    const packs = locale ? [locale] : Object.values(LOCALE_PACKS);
+    const namePattern = name => name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/['\u2019]/g, "['\u2019]");
 
-    if (!commentsDiv) {
-        return { comments: [], avatars };
+    packs.forEach(pack => {
+        REACTION_TYPES.forEach(type => {
+            if (counts[type] !== undefined) {
+                return;
+            }
+            const name = namePattern(pack.reactionNames[type]);
+            const labelPattern = new RegExp(`^${name}\\s*[:,]\\s*(${LOCALIZED_NUMBER_PATTERN.source})`, "i");
+            for (const el of root.querySelectorAll("[aria-label]")) {
+                const match = el.getAttribute("aria-label").trim().match(labelPattern);
+                if (match) {
+                    counts[type] = parseLocalizedNumber(match[1], locale || pack);
+                    return;
+                }
+            }
+            // Dialog tabs that show the reaction as an icon and the count as text
+            const altPattern = new RegExp(`^${name}$`, "i");
+            for (const tab of root.querySelectorAll('[role="tab"]')) {
+                const icon = Array.from(tab.querySelectorAll("img[alt]")).find(img => altPattern.test(img.alt.trim()));
+                const number = icon && readElementText(tab).match(LOCALIZED_NUMBER_PATTERN);
+                if (number) {
+                    counts[type] = parseLocalizedNumber(number[0], locale || pack);
+                    return;
+                }
+            }
+        });
+    });
+    return counts;
+}
+
+/**
+ * Closes a dialog with its close button, or with Escape if it has none.
+ * @param {HTMLElement} dialog - The div[role="dialog"] element.
+ * @param {object[]} packs - The entries of LOCALE_PACKS to look for the close button's label in.
+ */
+function closeDialog(dialog, packs) {
+    const closeButton = packs.map(pack => dialog.querySelector(`[aria-label="${pack.closeLabel}"]`)).find(Boolean);
+    if (closeButton) {
+        closeButton.click();
+    } else {
+        dialog.dispatchEvent(new KeyboardEvent("keydown", { key: "Escape", bubbles: true }));
     }
+}
 
-    const commentArticles = commentsDiv.querySelectorAll('div[role="article"]');
+/**
+ * Opens the reactions dialog by clicking the reactions summary, reads the count on each
+ * reaction tab, then closes the dialog again.
+ * @param {HTMLElement} statsDiv - The stats division.
+ * @param {object|null} locale - The entry of LOCALE_PACKS for the page; null tries every language.
+ * @param {object} [limits] - Overrides for REACTIONS_DIALOG_LIMITS.
+ * @returns {Promise<object|null>} Counts keyed by reaction type, or null if the dialog couldn't be read.
+ */
+async function readReactionsDialog(statsDiv, locale, limits = REACTIONS_DIALOG_LIMITS) {
+    const packs = locale ? [locale] : Object.values(LOCALE_PACKS);
+    const likersPack = packs.find(pack => statsDiv.querySelector(`[aria-label*="${pack.reactedLabel}"]`));
+    if (!likersPack) {
+        return null;
+    }
+    const likersEl = statsDiv.querySelector(`[aria-label*="${likersPack.reactedLabel}"]`);
+    const trigger = likersEl.closest('[role="button"]') || likersEl;
 
-    // Try to get the post author's avatar if available
-    const authorAvatarImage = document.querySelector("h2 a")?.closest(".x1cy8zhl")?.querySelector("image");
-    if (authorAvatarImage && postAuthorName !== "AUTHOR_NOT_FOUND") {
-        avatars[postAuthorName] = authorAvatarImage.getAttribute("xlink:href");
+    // The post itself may be shown in a dialog, so only a dialog that appears after the click counts
+    const existingDialogs = new Set(document.querySelectorAll('[role="dialog"]'));
+    trigger.click();
+
+    let dialog = null;
+    const startedAt = Date.now();
+    while (!dialog && Date.now() - startedAt < limits.timeoutMs) {
+        await delay(limits.pollDelayMs);
+        dialog = Array.from(document.querySelectorAll('[role="dialog"]')).find(el =>
+            !existingDialogs.has(el) && el.querySelector('[role="tab"]')
+        ) || null;
+    }
+    if (!dialog) {
+        // Whatever did open instead (e.g. a reactions list without tabs) would cover the page
+        document.querySelectorAll('[role="dialog"]').forEach(el => {
+            if (!existingDialogs.has(el)) {
+                closeDialog(el, packs);
+            }
+        });
+        console.warn("Reactions dialog did not open; using the reaction icons in the stats bar.");
+        return null;
     }
 
-    const rawComments = Array.from(commentArticles).map(commentEl => {
-        // Determine comment depth based on parent element hierarchy
-        let depth = 0;
-        let currentParent = commentEl;
-        while (currentParent && currentParent !== commentsDiv) {
-            depth++;
-            currentParent = currentParent.parentElement;
-        }
+    const counts = readReactionCounts(dialog, locale);
+    closeDialog(dialog, packs);
+    return counts;
+}
 
-        const ariaLabel = commentEl.getAttribute("aria-label") || "";
-        // Regex to extract author name from aria-label (e.g., "Comment by John Doe 5 hours ago")
-        const authorMatch = ariaLabel.match(/by (.*?)(?: to .*'s comment| \d+)/);
-        const authorName = authorMatch ? authorMatch[1].trim() : null;
+/**
+ * Scrapes how many of each reaction type the post has. The reactions dialog lists every type;
+ * if it can't be opened, the stats bar's icons (usually the top three types) are used instead.
+ * @param {HTMLElement} statsDiv - The stats division.
+ * @param {object|null} locale - The entry of LOCALE_PACKS for the page; null tries every language.
+ * @param {boolean} [openDialog=true] - False to only read the stats bar, e.g. on a saved page.
+ * @returns {Promise<object>} { reactions: counts keyed by type, source: "dialog" | "summary" | "none" }.
+ */
+async function scrapeReactionBreakdown(statsDiv, locale, openDialog = true) {
+    if (!statsDiv) {
+        return { reactions: {}, source: "none" };
+    }
+    const summary = readReactionCounts(statsDiv, locale);
+    const fromDialog = openDialog ? await readReactionsDialog(statsDiv, locale) : null;
+    if (fromDialog && Object.keys(fromDialog).length > 0) {
+        return { reactions: { ...summary, ...fromDialog }, source: "dialog" };
+    }
+    return { reactions: summary, source: Object.keys(summary).length > 0 ? "summary" : "none" };
+}
 
-        // Comment message is typically in a div with dir="auto"
-        const messageEl = commentEl.querySelector('div[dir="auto"]');
-        const message = (authorName && messageEl) ? messageEl.innerText.trim() : null;
+// Query parameters worth keeping when storing Facebook links; everything else is tracking noise.
+const KEPT_URL_PARAMS = ["id", "fbid", "set", "comment_id", "reply_comment_id", "story_fbid"];
 
-        // Find the avatar image within the comment article
-        const avatarImage = commentEl.querySelector("image")?.getAttribute("xlink:href");
+// The path (and query, once cleaned) of a profile link: profile.php?id=, /people/Name/id/, or a
+// single-segment username that isn't one of Facebook's own top-level sections.
+const PROFILE_PATH_PATTERN = /^\/(?:profile\.php\?id=\d+|people\/[^/]+\/\d+\/?|(?!(?:about|ads|bookmarks|business|events|friends|fundraisers|gaming|groups|hashtag|help|home\.php|jobs|l\.php|live|login|login\.php|marketplace|media|memories|messages|notifications|pages|people|permalink\.php|photo|photo\.php|photos|policies|privacy|profile\.php|reel|reels|saved|search|settings|share|sharer|sharer\.php|stories|story\.php|video\.php|videos|watch|weather)(?![\w.]))[\w.]+\/?)$/iu;
 
-        if (message) {
-            // If an avatar is found and not already stored, add it
-            if (avatarImage && !avatars[authorName]) {
-                avatars[authorName] = avatarImage;
+/**
+ * Strips tracking parameters from a Facebook URL so stored links stay short and stable.
+ * @param {string} href - The URL to clean.
+ * @returns {string} The cleaned absolute URL, or the input unchanged if it can't be parsed.
+ */
+function cleanFacebookUrl(href) {
+    try {
+        const url = new URL(href, location.href);
+        Array.from(url.searchParams.keys()).forEach(key => {
+            if (!KEPT_URL_PARAMS.includes(key)) {
+                url.searchParams.delete(key);
             }
-            return {
-                commentObject: { name: authorName, message: message },
-                depth: depth
-            };
-        }
-        return null; // Filter out comments that couldn't be parsed
-    }).filter(Boolean); // Remove null entries
+        });
+        url.hash = "";
+        return url.toString();
+    } catch (e) {
+        return href;
+    }
+}
 
-    if (rawComments.length === 0) {
-        // Provide a fallback avatar if no comments or avatars are found
-        avatars.fallback = "https://placehold.co/32x32/FFFFFF/000000?text=A";
-        return { comments: [], avatars };
+/**
+ * Tells whether a link points to a person's profile rather than a page, group, photo or post.
+ * @param {string} href - The link's URL.
+ * @returns {boolean} True for a Facebook profile link.
+ */
+function isProfileUrl(href) {
+    try {
+        const url = new URL(cleanFacebookUrl(href), location.href);
+        return /(?:^|\.)(?:facebook|fb)\.com$/u.test(url.hostname) && PROFILE_PATH_PATTERN.test(url.pathname + url.search);
+    } catch (e) {
+        return false;
     }
+}
 
-    // Build a nested comment structure for replies
-    const nestedComments = [];
-    const commentStack = []; // Used to track parent comments for nesting
+/**
+ * Returns the elements matching a selector that belong to the given comment article itself,
+ * skipping anything that sits inside a nested reply article.
+ * @param {HTMLElement} commentEl - The comment's div[role="article"] element.
+ * @param {string} selector - The CSS selector to match.
+ * @returns {HTMLElement[]} The matching elements owned by this comment.
+ */
+function queryOwnElements(commentEl, selector) {
+    return Array.from(commentEl.querySelectorAll(selector))
+        .filter(el => el.closest('div[role="article"]') === commentEl);
+}
 
-    rawComments.forEach(item => {
-        const { commentObject, depth } = item;
+/**
+ * Scrapes media attached to a comment: photos, GIFs, and stickers.
+ * Emoji are also rendered as small images by Facebook, so those are skipped.
+ * @param {HTMLElement} commentEl - The comment's article element.
+ * @returns {Array} An array of { type, url, alt } objects.
+ */
+function scrapeCommentAttachments(commentEl) {
+    const attachments = [];
 
-        // Pop from stack if current comment is at a shallower or equal depth
-        while (commentStack.length > 0 && depth <= commentStack[commentStack.length - 1].depth) {
+    queryOwnElements(commentEl, "img").forEach(img => {
+        const src = img.getAttribute("src") || "";
+        const isEmoji = /emoji\.php|\/images\/emoji/.test(src) || (img.width > 0 && img.width <= 24);
+        if (!src || isEmoji) {
+            return;
+        }
+        const alt = img.getAttribute("alt") || "";
+        let type = "photo";
+        if (/sticker/i.test(alt) || img.closest('[aria-label*="sticker" i]')) {
+            type = "sticker";
+        } else if (/\.gif|giphy|tenor/i.test(src)) {
+            type = "gif";
+        }
+        attachments.push({ type, url: src, alt });
+    });
+
+    // Animated GIFs are usually played through a <video>; its poster is the only stable image
+    queryOwnElements(commentEl, "video").forEach(video => {
+        const url = video.getAttribute("poster") || video.getAttribute("src") || "";
+        if (url && !url.startsWith("blob:")) {
+            attachments.push({ type: "gif", url, alt: video.getAttribute("aria-label") || "" });
+        }
+    });
+
+    return attachments;
+}
+
+/**
+ * Scrapes the metadata around a comment: its ID and permalink, time (as shown and as an ISO
+ * timestamp), author profile URL,
+ * reaction count, "Edited" and "See translation" flags, and attachments.
+ * @param {HTMLElement} commentEl - The comment's article element.
+ * @param {string} authorName - The comment author's name, used to find the profile link.
+ * @param {object|null} locale - The entry of LOCALE_PACKS for the page; null tries every language.
+ * @param {Date} [now] - The time the page was read, which relative times such as "2h" count back from.
+ * @returns {object} The metadata fields to merge into the comment object.
+ */
+function scrapeCommentMetadata(commentEl, authorName, locale, now = new Date()) {
+    const packs = locale ? [locale] : Object.values(LOCALE_PACKS);
+    const links = queryOwnElements(commentEl, "a[href]");
+
+    // The timestamp under the comment is a link to the comment itself
+    let id = null;
+    let permalink = null;
+    let time = null;
+    let timestamp = null;
+    const permalinkEl = links.find(a => /[?&](reply_)?comment_id=/.test(a.href));
+    if (permalinkEl) {
+        const url = new URL(permalinkEl.href, location.href);
+        id = url.searchParams.get("reply_comment_id") || url.searchParams.get("comment_id");
+        permalink = cleanFacebookUrl(permalinkEl.href);
+
+        const relative = permalinkEl.textContent.trim() || null;
+        // The full date is only exposed through the link's tooltip or accessible label
+        const titled = permalinkEl.querySelector("[title]");
+        const absolute = permalinkEl.getAttribute("aria-label") || permalinkEl.getAttribute("title") ||
+            (titled ? titled.getAttribute("title") : null);
+        time = { relative, absolute: absolute && absolute !== relative ? absolute : null };
+        timestamp = parseFacebookDate(time.absolute, locale, now) || parseFacebookDate(relative, locale, now);
+    }
+
+    // The author's name and avatar both link to their profile
+    const profileEl = links.find(a => a !== permalinkEl && a.textContent.trim() === authorName) ||
+        links.find(a => a.querySelector("image"));
+    const profileUrl = profileEl ? cleanFacebookUrl(profileEl.href) : null;
+
+    // e.g. aria-label="3 reactions; see who reacted to this"
+    let reactionCount = 0;
+    for (const pack of packs) {
+        const reactionsEl = queryOwnElements(commentEl, `[aria-label*="${pack.reactionLabel}" i]`)[0];
+        const reactionMatch = reactionsEl ? reactionsEl.getAttribute("aria-label").match(pack.reactionCount) : null;
+        if (reactionMatch) {
+            reactionCount = parseLocalizedNumber(reactionMatch[1], pack);
+            break;
+        }
+    }
+
+    const spanTexts = queryOwnElements(commentEl, "span").map(span => span.textContent.trim());
+    const edited = packs.some(pack => spanTexts.includes(pack.edited));
+
+    // Comments in another language get a "See translation" button below the message
+    const hasTranslation = queryOwnElements(commentEl, 'div[role="button"], span[role="button"]')
+        .some(button => packs.some(pack => pack.translation.test(button.textContent.trim())));
+
+    return {
+        id,
+        permalink,
+        profileUrl,
+        time,
+        timestamp,
+        reactionCount,
+        edited,
+        hasTranslation,
+        attachments: scrapeCommentAttachments(commentEl)
+    };
+}
+
+/**
+ * Reads the text of a comment message. Facebook draws emoji as <img> elements with the emoji
+ * as alt text, which innerText drops, so the text is rebuilt from the message's nodes with
+ * emoji images replaced by their alt text and line breaks kept.
+ * @param {HTMLElement} messageEl - The comment's message element.
+ * @returns {string} The message text.
+ */
+function readMessageText(messageEl) {
+    const parts = [];
+
+    function walk(node) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            parts.push(node.textContent);
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        const tagName = node.tagName.toLowerCase();
+        if (tagName === "img") {
+            parts.push(node.getAttribute("alt") || "");
+            return;
+        }
+        if (tagName === "br") {
+            parts.push("\n");
+            return;
+        }
+        // Each paragraph of a multi-line comment is its own block element
+        const isBlock = tagName === "div" || tagName === "p";
+        if (isBlock && parts.length > 0) parts.push("\n");
+        node.childNodes.forEach(walk);
+    }
+
+    messageEl.childNodes.forEach(walk);
+    return parts.join("").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+/**
+ * Scrapes the people mentioned (tagged) in a comment message. Mentions are profile links
+ * inside the message text; hashtag links are skipped.
+ * @param {HTMLElement} messageEl - The comment's message element.
+ * @returns {Array} An array of { name, profileUrl } objects.
+ */
+function scrapeMessageMentions(messageEl) {
+    return Array.from(messageEl.querySelectorAll("a[href]"))
+        .filter(a => !/\/hashtag\//.test(a.href) && a.textContent.trim() && !/^https?:\/\//.test(a.textContent.trim()))
+        .map(a => ({ name: a.textContent.trim(), profileUrl: cleanFacebookUrl(a.href) }));
+}
+
+/**
+ * Finds a comment's author. The name is read from the comment's accessible label using the
+ * page language's pattern; if that fails (or the language isn't supported) the first profile
+ * link outside the message text is used, which is where Facebook puts the author's name.
+ * @param {HTMLElement} commentEl - The comment's article element.
+ * @param {HTMLElement|null} messageEl - The comment's message element, whose links are mentions.
+ * @param {object|null} locale - The entry of LOCALE_PACKS for the page, or null if unknown.
+ * @returns {string|null} The author's name, or null if it can't be found.
+ */
+function extractCommentAuthor(commentEl, messageEl, locale) {
+    const ariaLabel = commentEl.getAttribute("aria-label") || "";
+    if (locale) {
+        const authorMatch = ariaLabel.match(locale.commentAuthor);
+        if (authorMatch && authorMatch[1].trim()) {
+            return authorMatch[1].trim();
+        }
+    }
+
+    const nameLink = queryOwnElements(commentEl, "a[href]").find(a =>
+        a.textContent.trim() &&
+        !/[?&](reply_)?comment_id=/.test(a.href) &&
+        !(messageEl && messageEl.contains(a))
+    );
+    return nameLink ? nameLink.textContent.trim() : null;
+}
+
+/**
+ * Scrapes comments and their associated avatars from the comments division.
+ * Builds a nested structure for replies and collects avatar URLs.
+ * @param {HTMLElement} commentsDiv - The HTML element containing comments.
+ * @param {string} postAuthorName - The name of the post author, to associate their avatar.
+ * @param {object|null} locale - The entry of LOCALE_PACKS for the page, or null if unknown.
+ * @param {Date} [now] - The time the page was read.
+ * @returns {object} An object with an array of comments and an object mapping names to avatar URLs.
+ */
+function scrapeCommentsAndAvatars(commentsDiv, postAuthorName, locale, now = new Date()) {
+    const avatars = {}; // Stores avatar URLs: { "Name": "url", ... }
+
+    if (!commentsDiv) {
+        return { comments: [], avatars };
+    }
+
+    const commentArticles = commentsDiv.querySelectorAll('div[role="article"]');
+
+    // Try to get the post author's avatar if available
+    const authorAvatarImage = document.querySelector("h2 a")?.closest(".x1cy8zhl")?.querySelector("image");
+    if (authorAvatarImage && postAuthorName !== "AUTHOR_NOT_FOUND") {
+        avatars[postAuthorName] = authorAvatarImage.getAttribute("xlink:href");
+    }
+
+    const rawComments = Array.from(commentArticles).map(commentEl => {
+        // Determine comment depth based on parent element hierarchy
+        let depth = 0;
+        let currentParent = commentEl;
+        while (currentParent && currentParent !== commentsDiv) {
+            depth++;
+            currentParent = currentParent.parentElement;
+        }
+
+        // Comment message is typically in a div with dir="auto"
+        const messageEl = commentEl.querySelector('div[dir="auto"]');
+
+        // e.g. aria-label="Comment by John Doe 5 hours ago", or the author's profile link
+        const authorName = extractCommentAuthor(commentEl, messageEl, locale);
+        const message = (authorName && messageEl) ? readMessageText(messageEl) : null;
+
+        // Find the avatar image within the comment article
+        const avatarImage = commentEl.querySelector("image")?.getAttribute("xlink:href");
+
+        // Sticker and GIF comments have no text, so keep them if they carry an attachment
+        const metadata = authorName ? scrapeCommentMetadata(commentEl, authorName, locale, now) : null;
+
+        if (message || (metadata && metadata.attachments.length > 0)) {
+            // If an avatar is found and not already stored, add it
+            if (avatarImage && !avatars[authorName]) {
+                avatars[authorName] = avatarImage;
+            }
+            return {
+                commentObject: {
+                    name: authorName,
+                    message: message || "",
+                    mentions: messageEl ? scrapeMessageMentions(messageEl) : [],
+                    ...metadata
+                },
+                depth: depth
+            };
+        }
+        return null; // Filter out comments that couldn't be parsed
+    }).filter(Boolean); // Remove null entries
+
+    if (rawComments.length === 0) {
+        // Provide a fallback avatar if no comments or avatars are found
+        avatars.fallback = "https://placehold.co/32x32/FFFFFF/000000?text=A";
+        return { comments: [], avatars };
+    }
+
+    // Build a nested comment structure for replies
+    const nestedComments = [];
+    const commentStack = []; // Used to track parent comments for nesting
+
+    rawComments.forEach(item => {
+        const { commentObject, depth } = item;
+
+        // Pop from stack if current comment is at a shallower or equal depth
+        while (commentStack.length > 0 && depth <= commentStack[commentStack.length - 1].depth) {
             commentStack.pop();
         }
 
@@ -379,66 +1295,1163 @@ function scrapeCommentsAndAvatars(commentsDiv, postAuthorName) {
     return { comments: nestedComments, avatars };
 }
 
+// Limits for the comment expansion step. Facebook loads comments in small batches,
+// so a busy thread can take dozens of rounds; these guards keep a broken page from
+// looping forever.
+const EXPANSION_LIMITS = {
+    maxRounds: 60,          // Maximum number of click-and-wait rounds
+    timeoutMs: 180000,      // Give up after three minutes regardless of progress
+    settleDelayMs: 1500,    // Time to wait after clicking for Facebook to render new comments
+    maxIdleRounds: 3        // Stop if this many rounds in a row load nothing new
+};
+
+// Text of the links that reveal more of the thread, in every supported language: "View more comments",
+// "View 12 previous comments", "View all 4 replies", "Jane Doe replied \u00b7 3 replies", "See more".
+const EXPANSION_LINK_PATTERNS = Object.values(LOCALE_PACKS).flatMap(pack => pack.expansionLinks);
+
+/**
+ * Pauses for the given number of milliseconds.
+ * @param {number} ms - How long to wait.
+ * @returns {Promise<void>} Resolves once the delay has elapsed.
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Finds the clickable links that would load more comments, replies, or truncated text.
+ * @param {HTMLElement} root - The element to search within (normally the comments section).
+ * @returns {HTMLElement[]} The matching clickable elements, in document order.
+ */
+function findExpansionLinks(root) {
+    const candidates = root.querySelectorAll('div[role="button"], span[role="button"], a[role="button"]');
+    return Array.from(candidates).filter(el => {
+        const text = (el.innerText || el.textContent || "").trim();
+        return text.length > 0 && text.length < 80 && EXPANSION_LINK_PATTERNS.some(pattern => pattern.test(text));
+    });
+}
+
+/**
+ * Creates a small floating indicator on the page that reports expansion progress
+ * and offers a cancel button.
+ * @param {function} onCancel - Called when the user clicks the cancel button.
+ * @param {string} [text] - The initial progress text.
+ * @param {string} [cancelText] - The cancel button's label.
+ * @returns {object} An object with update(text) and remove() methods.
+ */
+function createProgressIndicator(onCancel, text = "Loading all comments...", cancelText = "Stop and scrape now") {
+    const box = document.createElement('div');
+    box.style.cssText = "position:fixed;top:16px;right:16px;z-index:2147483647;background:#242526;color:#E4E6EB;" +
+        "font:14px/1.4 sans-serif;padding:12px 16px;border-radius:8px;box-shadow:0 4px 16px rgba(0,0,0,0.4);max-width:320px;";
+
+    const label = document.createElement('div');
+    label.textContent = text;
+
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = cancelText;
+    cancelButton.style.cssText = "margin-top:8px;padding:4px 10px;border:none;border-radius:4px;background:#3A3B3C;color:#E4E6EB;cursor:pointer;";
+    cancelButton.addEventListener('click', () => {
+        cancelButton.disabled = true;
+        label.textContent = "Stopping...";
+        onCancel();
+    });
+
+    box.appendChild(label);
+    box.appendChild(cancelButton);
+    document.body.appendChild(box);
+
+    return {
+        update: (text) => { label.textContent = text; },
+        remove: () => { box.remove(); }
+    };
+}
+
+/**
+ * Repeatedly clicks "View more comments", "View N replies" and "See more" links until
+ * the thread stops growing, the user cancels, or one of the EXPANSION_LIMITS is hit.
+ * @param {HTMLElement} root - The element containing the comments section.
+ * @param {object} [limits=EXPANSION_LIMITS] - Round, time, and idle limits for the expansion.
+ * @param {object} [progress] - An indicator to report on instead of opening one:
+ * { indicator, cancel, label }, where cancel.cancelled is set by the indicator's stop button and
+ * label starts each progress message. Album mode passes its own, so one button stops everything.
+ * @returns {Promise<object>} A summary: rounds, clicks, and whether it was cancelled or stopped early.
+ */
+async function expandAllComments(root, limits = EXPANSION_LIMITS, progress = null) {
+    console.log("--- Expanding comments and replies ---");
+    const summary = { rounds: 0, clicks: 0, cancelled: false, timedOut: false, hitRoundLimit: false };
+
+    if (!root) {
+        return summary;
+    }
+
+    const cancel = progress ? progress.cancel : { cancelled: false };
+    const indicator = progress ? progress.indicator : createProgressIndicator(() => { cancel.cancelled = true; });
+    const label = progress?.label || "Loading all comments...";
+    const startedAt = Date.now();
+    let idleRounds = 0;
+    let lastArticleCount = root.querySelectorAll('div[role="article"]').length;
+
+    try {
+        while (!cancel.cancelled) {
+            if (summary.rounds >= limits.maxRounds) {
+                summary.hitRoundLimit = true;
+                break;
+            }
+            if (Date.now() - startedAt > limits.timeoutMs) {
+                summary.timedOut = true;
+                break;
+            }
+
+            const links = findExpansionLinks(root);
+            if (links.length === 0) {
+                break;
+            }
+
+            summary.rounds++;
+            for (const link of links) {
+                if (cancel.cancelled) break;
+                link.click();
+                summary.clicks++;
+            }
+
+            await delay(limits.settleDelayMs);
+
+            // "See more" links don't add articles, so only count a round as idle
+            // when nothing new was loaded at all.
+            const articleCount = root.querySelectorAll('div[role="article"]').length;
+            idleRounds = articleCount > lastArticleCount ? 0 : idleRounds + 1;
+            lastArticleCount = articleCount;
+            if (idleRounds >= limits.maxIdleRounds) {
+                console.log("No new comments appeared for several rounds; assuming the thread is fully loaded.");
+                break;
+            }
+
+            if (!cancel.cancelled) {
+                indicator.update(`${label} round ${summary.rounds}, ${articleCount} comments on the page.`);
+            }
+        }
+    } finally {
+        summary.cancelled = cancel.cancelled;
+        if (!progress) {
+            indicator.remove();
+        }
+    }
+
+    console.log("Expansion finished:", summary);
+    return summary;
+}
+
+/**
+ * Counts every comment in a nested comment tree, including replies.
+ * @param {Array} comments - The nested comments array.
+ * @returns {number} The total number of comments and replies.
+ */
+function countComments(comments) {
+    return comments.reduce((total, comment) => total + 1 + countComments(comment.replies || []), 0);
+}
+
+// Where the viewer pages are hosted. "Open in viewer" opens pages relative to this URL.
+const VIEWER_BASE_URL = "https://benja11y.github.io/facebook-photo-comment-viewer-tool/";
+
+// Origins allowed to take part in the viewer handoff. Messages from any other origin are ignored.
+const VIEWER_ALLOWED_ORIGINS = [new URL(VIEWER_BASE_URL).origin];
+
+// Settings for sending the post to the viewer with postMessage
+const HANDOFF = {
+    chunkSize: 256 * 1024,  // Characters per message, so very large threads don't hit message size limits
+    timeoutMs: 30000        // How long to wait for the viewer to load and acknowledge the data
+};
+
+// Outline colors used to highlight the detected sections on the Facebook page
+const SECTION_HIGHLIGHTS = {
+    headerDiv: { color: "#2E89FF", label: "Header" },
+    statsDiv: { color: "#F5C33B", label: "Stats" },
+    commentsDiv: { color: "#45BD62", label: "Comments" }
+};
+
+const REVIEW_PANEL_ID = "fbpcv-review-panel";
+
+// Styles for the review panel. Everything is scoped under the panel's ID so
+// Facebook's own styles are left alone.
+const REVIEW_PANEL_STYLES = `
+#${REVIEW_PANEL_ID} { position:fixed; top:16px; right:16px; bottom:16px; width:420px; z-index:2147483647;
+    display:flex; flex-direction:column; background:#242526; color:#E4E6EB; font:14px/1.4 sans-serif;
+    border-radius:8px; box-shadow:0 8px 24px rgba(0,0,0,0.5); overflow:hidden; }
+#${REVIEW_PANEL_ID} * { box-sizing:border-box; }
+#${REVIEW_PANEL_ID} header { display:flex; justify-content:space-between; align-items:center; padding:12px 16px; border-bottom:1px solid #3A3B3C; }
+#${REVIEW_PANEL_ID} h2 { margin:0; font-size:16px; font-weight:700; }
+#${REVIEW_PANEL_ID} h3 { margin:16px 0 8px; font-size:14px; font-weight:700; color:#B0B3B8; }
+#${REVIEW_PANEL_ID} button { border:none; border-radius:6px; padding:6px 12px; background:#3A3B3C; color:#E4E6EB; cursor:pointer; font:inherit; }
+#${REVIEW_PANEL_ID} button:hover { background:#4E4F50; }
+#${REVIEW_PANEL_ID} button.fbpcv-primary { background:#2E89FF; color:#FFFFFF; }
+#${REVIEW_PANEL_ID} .fbpcv-body { flex:1; overflow-y:auto; padding:12px 16px; }
+#${REVIEW_PANEL_ID} .fbpcv-summary { display:flex; gap:12px; margin-bottom:12px; }
+#${REVIEW_PANEL_ID} .fbpcv-summary img { width:96px; height:96px; object-fit:cover; border-radius:6px; background:#000; flex-shrink:0; }
+#${REVIEW_PANEL_ID} .fbpcv-muted { color:#B0B3B8; font-size:12px; }
+#${REVIEW_PANEL_ID} .fbpcv-warning { background:#4A3B12; color:#F5C33B; border-radius:6px; padding:8px; margin-bottom:12px; white-space:pre-wrap; font-size:12px; }
+#${REVIEW_PANEL_ID} .fbpcv-legend { display:flex; gap:12px; align-items:center; margin-bottom:12px; font-size:12px; }
+#${REVIEW_PANEL_ID} .fbpcv-swatch { display:inline-block; width:10px; height:10px; border-radius:2px; margin-right:4px; }
+#${REVIEW_PANEL_ID} ul { list-style:none; margin:0; padding:0; }
+#${REVIEW_PANEL_ID} ul ul { padding-left:20px; border-left:1px solid #3A3B3C; margin-left:6px; }
+#${REVIEW_PANEL_ID} li label { display:flex; gap:6px; align-items:flex-start; padding:4px 0; cursor:pointer; }
+#${REVIEW_PANEL_ID} li label.fbpcv-excluded { opacity:0.4; text-decoration:line-through; }
+#${REVIEW_PANEL_ID} footer { display:flex; flex-wrap:wrap; gap:8px; padding:12px 16px; border-top:1px solid #3A3B3C; }
+#${REVIEW_PANEL_ID} .fbpcv-status { width:100%; min-height:1.4em; font-size:12px; color:#B0B3B8; }
+#${REVIEW_PANEL_ID} .fbpcv-option { display:flex; gap:4px; align-items:center; font-size:12px; cursor:pointer; }
+#${REVIEW_PANEL_ID} .fbpcv-option[hidden] { display:none; }
+`;
+
+/**
+ * Builds the list of warnings about incomplete data: comments that didn't load,
+ * and page sections the scraper couldn't find.
+ * @param {object} data - The scraped data, or an album bundle (album-level warnings only).
+ * @returns {string[]} Human-readable warnings; empty if the scrape looks complete.
+ */
+function describeScrapeProblems(data) {
+    const problems = [];
+    const album = data.albumCoverage;
+    if (album) {
+        if (album.cancelled) {
+            problems.push("Stepping through the album was stopped early, so some photos may be missing.");
+        } else if (album.hitPhotoLimit) {
+            problems.push(`The album scrape stops at ${ALBUM_LIMITS.maxPhotos} photos, so later photos are missing.`);
+        } else if (album.navigationFailed) {
+            problems.push("The next photo didn't load in time, so the rest of the album is missing.");
+        }
+    }
+    const coverage = data.commentCoverage;
+    if (coverage) {
+        if (coverage.expansion.cancelled) {
+            problems.push("Loading was stopped early, so some comments may be missing.");
+        } else if (coverage.expansion.timedOut || coverage.expansion.hitRoundLimit) {
+            problems.push("Loading hit its time or round limit, so some comments may be missing.");
+        }
+    }
+    if (data.diagnostics && data.diagnostics.locale && !data.diagnostics.locale.detected) {
+        problems.push(`The page language ("${data.diagnostics.locale.lang || "unknown"}") isn't one the scraper knows, ` +
+            "so names and counts were read from the page structure. Check them before sharing.");
+    }
+    if (data.diagnostics && data.diagnostics.fields && Object.values(data.diagnostics.fields).includes(null)) {
+        problems.push("Some parts of the page could not be found:\n" + formatDiagnostics(data.diagnostics));
+    }
+    return problems;
+}
+
+/**
+ * Returns a copy of the comment tree without the excluded comments (and their replies).
+ * @param {Array} comments - The nested comments array.
+ * @param {Set} excluded - The comment objects the user unticked.
+ * @returns {Array} The filtered comment tree.
+ */
+function filterExcludedComments(comments, excluded) {
+    return comments.filter(comment => !excluded.has(comment)).map(comment => {
+        if (!comment.replies) {
+            return comment;
+        }
+        const replies = filterExcludedComments(comment.replies, excluded);
+        const copy = { ...comment, replies };
+        if (replies.length === 0) {
+            delete copy.replies;
+        }
+        return copy;
+    });
+}
+
+// Limits for archive mode, which embeds the photo and avatars into the JSON as data URIs
+// so exports keep working after Facebook's CDN links expire.
+const ARCHIVE_LIMITS = {
+    budgetBytes: 8 * 1024 * 1024,           // Total size allowed for all embedded images
+    avatarSize: 96,                         // Avatars are downscaled to at most this many pixels wide
+    photoMaxDimensions: [2048, 1280, 800],  // Photo sizes to try, largest first, until one fits the budget
+    jpegQuality: 0.85
+};
+
+/**
+ * Downloads an image and re-encodes it as a JPEG data URI, downscaling it so its longest
+ * side is at most maxDimension pixels.
+ * @param {string} url - The image URL.
+ * @param {number} maxDimension - The maximum width or height of the result.
+ * @returns {Promise<string>} The image as a "data:image/jpeg;base64,..." URI.
+ */
+async function imageUrlToDataUri(url, maxDimension) {
+    const response = await fetch(url, { credentials: "omit" });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} for ${url}`);
+    }
+    const bitmap = await createImageBitmap(await response.blob());
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return canvas.toDataURL("image/jpeg", ARCHIVE_LIMITS.jpegQuality);
+}
+
+/**
+ * Fetches every avatar and the main photo and embeds them as data URIs, staying within
+ * ARCHIVE_LIMITS.budgetBytes. Avatars are embedded first since they are small; the photo is
+ * then embedded at the largest size that still fits. Images that fail to load or don't fit
+ * are listed in "skipped" and keep using their original URLs.
+ * @param {object} data - The scraped data.
+ * @param {function} onProgress - Called with a status message as images are processed.
+ * @param {number} [budgetBytes] - Total size allowed for this post's images; albums split ARCHIVE_LIMITS.budgetBytes between photos.
+ * @returns {Promise<object>} The embeddedImages object: { mainPhoto, avatars, usedBytes, budgetBytes, skipped }.
+ */
+async function archiveImages(data, onProgress, budgetBytes = ARCHIVE_LIMITS.budgetBytes) {
+    const embedded = { mainPhoto: null, avatars: {}, usedBytes: 0, budgetBytes: budgetBytes, skipped: [] };
+    const avatarEntries = Object.entries(data.avatars).filter(([, url]) => /^https?:/.test(url));
+
+    for (let i = 0; i < avatarEntries.length; i++) {
+        const [name, url] = avatarEntries[i];
+        onProgress(`Embedding avatars... ${i + 1} of ${avatarEntries.length}`);
+        try {
+            const dataUri = await imageUrlToDataUri(url, ARCHIVE_LIMITS.avatarSize);
+            if (embedded.usedBytes + dataUri.length > embedded.budgetBytes) {
+                embedded.skipped.push(`avatar: ${name} (over budget)`);
+                continue;
+            }
+            embedded.avatars[name] = dataUri;
+            embedded.usedBytes += dataUri.length;
+        } catch (error) {
+            console.warn(`Could not embed the avatar for ${name}:`, error);
+            embedded.skipped.push(`avatar: ${name} (${error.message})`);
+        }
+    }
+
+    if (/^https?:/.test(data.mainPhotoUrl)) {
+        onProgress("Embedding the photo...");
+        try {
+            for (const maxDimension of ARCHIVE_LIMITS.photoMaxDimensions) {
+                const dataUri = await imageUrlToDataUri(data.mainPhotoUrl, maxDimension);
+                if (embedded.usedBytes + dataUri.length <= embedded.budgetBytes) {
+                    embedded.mainPhoto = dataUri;
+                    embedded.usedBytes += dataUri.length;
+                    break;
+                }
+            }
+            if (!embedded.mainPhoto) {
+                embedded.skipped.push("main photo (over budget)");
+            }
+        } catch (error) {
+            console.warn("Could not embed the main photo:", error);
+            embedded.skipped.push(`main photo (${error.message})`);
+        }
+    }
+
+    return embedded;
+}
+
+// Anonymization for sharing scraped threads. The viewer's anonymize.js does the same for its
+// HTML export; this copy is kept here because the bookmarklet can't load scripts on Facebook.
+// The patterns, colours and blur settings must match anonymize.js; cli/build-bookmarklet.js
+// refuses to build if they don't.
+const ANONYMIZE_SETTINGS = {
+    pseudonymPrefix: "Person",
+    // Identicons are a 5x5 grid mirrored left to right, in one of these colours
+    identiconColors: ["#1877F2", "#45BD62", "#F7B928", "#F02849", "#9360F7", "#2ABBA7", "#FB724B", "#E42D9A"],
+    // The blurred photo is the original shrunk to this width and stretched back
+    photoBlur: { sampleWidth: 32, outputMaxDimension: 800, jpegQuality: 0.8 },
+    // Contact details redacted from messages, with the text they are replaced by
+    redactions: {
+        email: { pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}.-]+\.[\p{L}]{2,}/gu, replacement: "[email]" },
+        profileUrl: {
+            pattern: /(?:https?:\/\/)?(?:[\w-]+\.)?(?:facebook|fb)\.com\/(?:profile\.php\?id=\d+[^\s]*|people\/[^\s/]+\/\d+[^\s]*|(?!(?:about|ads|bookmarks|business|events|friends|fundraisers|gaming|groups|hashtag|help|home\.php|jobs|l\.php|live|login|login\.php|marketplace|media|memories|messages|notifications|pages|people|permalink\.php|photo|photo\.php|photos|policies|privacy|profile\.php|reel|reels|saved|search|settings|share|sharer|sharer\.php|stories|story\.php|video\.php|videos|watch|weather)(?![\w.]))[\w.]+\/?(?:[?#]\S*)?(?![\w./?#]))/giu,
+            replacement: "[profile link]"
+        },
+        // Phone numbers: international (+33 6 12 34 56 78), with a bracketed area code ((555) 123-4567),
+        // national with a leading 0 (020 7946 0958), 555-123-4567 or 5551234567, or a local 555-1234.
+        // Digits that follow a dot or dash, and date shapes, are left alone, so dates, times, scores
+        // and prices aren't redacted.
+        phone: { pattern: /(?<![\p{L}\p{N}+\/=#_.-])(?!\d{1,4}[./-]\d{1,2}[./-]\d{1,4}(?!\d))(?:\+\d{1,3}[\s.-]?\(?\d{1,4}\)?(?:[\s.-]?\d{2,4}){2,4}|\(\d{2,5}\)[\s.-]?\d{2,4}(?:[\s.-]?\d{2,4}){1,2}|0\d{1,4}(?:[\s.-]?\d{2,4}){2,4}|\d{3}[\s.-]?\d{3}[\s.-]?\d{4}|\d{3}[\s.-]\d{4})(?![\p{L}\p{N}]|[.-]\d)/gu, replacement: "[phone]" }
+    }
+};
+
+/**
+ * Hashes a string to a 32-bit number (FNV-1a), so identicons are the same on every export.
+ * @param {string} text - The text to hash.
+ * @returns {number} The unsigned hash.
+ */
+function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates an identicon for a pseudonym.
+ * @param {string} seed - The pseudonym.
+ * @returns {string} An SVG image as a data URI.
+ */
+function createIdenticon(seed) {
+    const hash = hashString(seed);
+    const color = ANONYMIZE_SETTINGS.identiconColors[hash % ANONYMIZE_SETTINGS.identiconColors.length];
+    const cells = [];
+    // 15 bits pick the cells of the left three columns; the right two mirror them
+    for (let bit = 0; bit < 15; bit++) {
+        if (!((hash >>> (bit + 3)) & 1)) continue;
+        const x = Math.floor(bit / 5);
+        const y = bit % 5;
+        cells.push(`<rect x="${x}" y="${y}" width="1" height="1"/>`);
+        if (x < 2) cells.push(`<rect x="${4 - x}" y="${y}" width="1" height="1"/>`);
+    }
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="-1 -1 7 7" shape-rendering="crispEdges"><rect x="-1" y="-1" width="7" height="7" fill="#E4E6EB"/><g fill="${color}">${cells.join("")}</g></svg>`;
+    return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * Assigns a pseudonym to everyone named in the posts, numbered in the order they first appear
+ * (the post author first), so a name gets the same pseudonym in every photo of an album.
+ * @param {Array} posts - The scraped posts (one, or every photo of an album).
+ * @returns {Map} Real name to pseudonym.
+ */
+function createPseudonymMap(posts) {
+    const pseudonyms = new Map();
+    const add = name => {
+        if (typeof name !== "string" || name.trim() === "" || /NOT_FOUND/.test(name) || pseudonyms.has(name)) return;
+        pseudonyms.set(name, `${ANONYMIZE_SETTINGS.pseudonymPrefix} ${pseudonyms.size + 1}`);
+    };
+    const addComments = comments => (comments || []).forEach(comment => {
+        add(comment.name);
+        (comment.mentions || []).forEach(mention => add(mention.name));
+        addComments(comment.replies);
+    });
+    posts.forEach(post => {
+        add(post.postAuthor);
+        add(post.likes && post.likes.firstLiker);
+        addComments(post.comments);
+        (post.photoTags || []).forEach(tag => add(tag.name));
+    });
+    return pseudonyms;
+}
+
+/**
+ * Replaces every known name in a text with its pseudonym, longest names first. Names the
+ * scraper never saw (a first name typed in a reply, say) stay as they are.
+ * @param {string} text - The text.
+ * @param {Map} pseudonyms - Real name to pseudonym.
+ * @returns {string} The text with names replaced.
+ */
+function replaceNames(text, pseudonyms) {
+    const names = [...pseudonyms.keys()].sort((a, b) => b.length - a.length);
+    if (names.length === 0) return text;
+    const escaped = names.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${escaped.join("|")})(?![\\p{L}\\p{N}])`, "gu");
+    return text.replace(pattern, name => pseudonyms.get(name));
+}
+
+/**
+ * Redacts email addresses, Facebook profile links and phone numbers from a text.
+ * @param {string} text - The text.
+ * @param {object} counts - Redaction counts by kind, increased as text is redacted.
+ * @returns {string} The redacted text.
+ */
+function redactContactDetails(text, counts) {
+    return Object.entries(ANONYMIZE_SETTINGS.redactions).reduce((redacted, [kind, { pattern, replacement }]) =>
+        redacted.replace(pattern, () => {
+            counts[kind] = (counts[kind] || 0) + 1;
+            return replacement;
+        }), text);
+}
+
+/**
+ * Makes a blurred copy of a photo by shrinking it to a few pixels and stretching it back.
+ * @param {string} src - The photo's URL or data URI.
+ * @returns {Promise<string>} The blurred photo as a JPEG data URI.
+ */
+async function blurPhoto(src) {
+    const response = await fetch(src, { credentials: "omit" });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} for ${src}`);
+    }
+    const bitmap = await createImageBitmap(await response.blob());
+    const sample = document.createElement('canvas');
+    sample.width = ANONYMIZE_SETTINGS.photoBlur.sampleWidth;
+    sample.height = Math.max(1, Math.round(bitmap.height * sample.width / bitmap.width));
+    sample.getContext('2d').drawImage(bitmap, 0, 0, sample.width, sample.height);
+    const scale = Math.min(1, ANONYMIZE_SETTINGS.photoBlur.outputMaxDimension / Math.max(bitmap.width, bitmap.height));
+    const output = document.createElement('canvas');
+    output.width = Math.max(1, Math.round(bitmap.width * scale));
+    output.height = Math.max(1, Math.round(bitmap.height * scale));
+    bitmap.close();
+    const context = output.getContext('2d');
+    context.imageSmoothingQuality = "high";
+    context.drawImage(sample, 0, 0, output.width, output.height);
+    return output.toDataURL("image/jpeg", ANONYMIZE_SETTINGS.photoBlur.jpegQuality);
+}
+
 /**
- * Finalizes the scraped data and copies it to the clipboard as a JSON string.
- * @param {object} data - The object containing all scraped data.
+ * Anonymizes exported data (a single post or an album) for sharing: pseudonyms for every
+ * name, identicons for avatars, contact details redacted from messages, and links back to
+ * Facebook removed. What was done is recorded in an "anonymization" field.
+ * @param {object} data - The post data or album bundle, as it would be exported.
+ * @param {object} [options] - { blurPhoto: true } also blurs the main photo. A photo that
+ * can't be blurred is removed instead, so it never leaves unblurred.
+ * @returns {Promise<object>} The anonymized copy.
  */
-function finalizeAndCopy(data) {
-    const jsonString = JSON.stringify(data, null, 2); // Pretty print JSON
+async function anonymizeExport(data, options = {}) {
+    const isAlbum = data.type === "album";
+    const posts = isAlbum ? data.photos : [data];
+    const pseudonyms = createPseudonymMap(posts);
+    const pseudonymFor = name => pseudonyms.get(name) || name;
+    const counts = { email: 0, profileUrl: 0, phone: 0 };
+    const anonymizeText = text => redactContactDetails(replaceNames(text, pseudonyms), counts);
+    // Comment IDs and attachment URLs (Facebook's CDN) lead back to the account as well
+    const anonymizeComments = comments => comments.map(({ profileUrl, permalink, id, ...comment }) => {
+        const anonymized = { ...comment, name: pseudonymFor(comment.name), message: anonymizeText(comment.message) };
+        if (comment.attachments) anonymized.attachments = comment.attachments.map(attachment => ({ ...attachment, url: null }));
+        if (comment.mentions) anonymized.mentions = comment.mentions.map(mention => ({ name: pseudonymFor(mention.name) }));
+        if (comment.previousMessages) anonymized.previousMessages = comment.previousMessages.map(anonymizeText);
+        if (comment.replies) anonymized.replies = anonymizeComments(comment.replies);
+        return anonymized;
+    });
+    const transformations = ["pseudonyms", "identicons", "redact-contacts", "remove-facebook-links"];
+    let blurred = false;
+    let removed = false;
+
+    const anonymizedPosts = [];
+    for (const post of posts) {
+        const { photoUrl, ...anonymized } = post;
+        anonymized.postAuthor = pseudonymFor(post.postAuthor);
+        anonymized.likes = { ...post.likes, firstLiker: pseudonymFor(post.likes.firstLiker) };
+        anonymized.comments = anonymizeComments(post.comments);
+        anonymized.photoTags = (post.photoTags || []).map(({ profileUrl, ...tag }) => ({ ...tag, name: pseudonymFor(tag.name) }));
+        // Everyone named in this post gets an identicon; the fallback is a placeholder, not a person
+        anonymized.avatars = { fallback: post.avatars.fallback };
+        createPseudonymMap([post]).forEach((_, name) => {
+            anonymized.avatars[pseudonyms.get(name)] = createIdenticon(pseudonyms.get(name));
+        });
+        if (post.embeddedImages) {
+            anonymized.embeddedImages = {
+                ...post.embeddedImages,
+                avatars: {},
+                skipped: post.embeddedImages.skipped.filter(entry => !entry.startsWith("avatar:"))
+            };
+        }
+
+        const src = (post.embeddedImages && post.embeddedImages.mainPhoto) || post.mainPhotoUrl;
+        if (options.blurPhoto && /^(https?|data):/.test(src)) {
+            try {
+                anonymized.mainPhotoUrl = await blurPhoto(src);
+                blurred = true;
+            } catch (error) {
+                console.warn("Could not blur the photo, so it was removed:", error);
+                anonymized.mainPhotoUrl = null;
+                removed = true;
+            }
+            if (anonymized.embeddedImages) anonymized.embeddedImages.mainPhoto = null;
+        }
+        anonymizedPosts.push(anonymized);
+    }
+    if (blurred) transformations.push("blur-photo");
+    if (removed) transformations.push("remove-photo");
+
+    const anonymization = { anonymizedAt: new Date().toISOString(), transformations, redactions: counts };
+    if (!isAlbum) return { ...anonymizedPosts[0], anonymization };
+    const { albumUrl, ...album } = data;
+    return { ...album, photos: anonymizedPosts.map(post => ({ ...post, anonymization })), anonymization };
+}
+
+/**
+ * Copies text to the clipboard, falling back to document.execCommand('copy') where the
+ * asynchronous Clipboard API is blocked (e.g., by the page's permissions policy).
+ * @param {string} text - The text to copy.
+ * @returns {Promise<boolean>} Resolves to true if the text was copied.
+ */
+async function copyTextToClipboard(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch (err) {
+        console.warn("Clipboard API unavailable, falling back to execCommand:", err);
+    }
 
     // Use document.execCommand('copy') for better compatibility in iframes/bookmarklets
     const textarea = document.createElement('textarea');
-    textarea.value = jsonString;
+    textarea.value = text;
     textarea.style.position = 'fixed'; // Avoid scrolling to bottom
     textarea.style.opacity = '0'; // Make invisible
     document.body.appendChild(textarea);
     textarea.select();
     try {
-        document.execCommand('copy');
-        alert("Facebook post data copied to clipboard!");
+        return document.execCommand('copy');
     } catch (err) {
         console.error("Failed to copy data to clipboard:", err);
-        alert("Failed to copy data. See the browser console for details.");
+        return false;
     } finally {
         document.body.removeChild(textarea);
     }
 }
 
+/**
+ * Saves text as a file through a temporary download link.
+ * @param {string} text - The file contents.
+ * @param {string} filename - The suggested file name.
+ */
+function downloadTextFile(text, filename) {
+    const url = URL.createObjectURL(new Blob([text], { type: "application/json" }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Opens the viewer in a new window and delivers the post JSON to it with postMessage.
+ * The viewer announces itself with a "fbpcv-ready" message; the JSON is then sent in
+ * "fbpcv-chunk" messages and the viewer replies with "fbpcv-ack" once it has parsed the data.
+ * @param {string} json - The post data as a JSON string.
+ * @returns {Promise<void>} Resolves once the viewer acknowledges the data; rejects on
+ * error, if the window could not be opened, or if the viewer doesn't answer in time.
+ */
+function sendToViewer(json) {
+    return new Promise((resolve, reject) => {
+        const viewerWindow = window.open(VIEWER_BASE_URL + "viewer.html?handoff=1", "_blank");
+        if (!viewerWindow) {
+            reject(new Error("The viewer window was blocked by the browser."));
+            return;
+        }
+
+        const transferId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        const chunks = [];
+        for (let i = 0; i < json.length; i += HANDOFF.chunkSize) {
+            chunks.push(json.slice(i, i + HANDOFF.chunkSize));
+        }
+        let sent = false;
+
+        const finish = (error) => {
+            window.removeEventListener('message', handleMessage);
+            clearTimeout(timer);
+            if (error) {
+                reject(error);
+            } else {
+                resolve();
+            }
+        };
+
+        function handleMessage(event) {
+            if (event.source !== viewerWindow || !VIEWER_ALLOWED_ORIGINS.includes(event.origin)) {
+                return;
+            }
+            const message = event.data || {};
+            if (message.type === "fbpcv-ready" && !sent) {
+                sent = true;
+                console.log(`Viewer is ready; sending ${chunks.length} chunk(s).`);
+                chunks.forEach((data, index) => {
+                    viewerWindow.postMessage({ type: "fbpcv-chunk", transferId, index, total: chunks.length, data }, event.origin);
+                });
+            } else if (message.type === "fbpcv-ack" && message.transferId === transferId) {
+                finish(message.ok ? null : new Error(message.error || "The viewer could not read the data."));
+            }
+        }
+
+        const timer = setTimeout(() => finish(new Error("The viewer did not respond in time.")), HANDOFF.timeoutMs);
+        window.addEventListener('message', handleMessage);
+    });
+}
+
+/**
+ * Outlines the detected page sections so the user can check the scraper found the right ones.
+ * @param {object} containers - The headerDiv, statsDiv, and commentsDiv elements (any may be null).
+ * @returns {function} A function that removes the outlines again.
+ */
+function highlightSections(containers) {
+    const restorers = Object.entries(SECTION_HIGHLIGHTS).map(([field, highlight]) => {
+        const element = containers[field];
+        if (!element) {
+            return () => {};
+        }
+        const previous = { outline: element.style.outline, outlineOffset: element.style.outlineOffset };
+        element.style.outline = `3px solid ${highlight.color}`;
+        element.style.outlineOffset = "-3px";
+        return () => {
+            element.style.outline = previous.outline;
+            element.style.outlineOffset = previous.outlineOffset;
+        };
+    });
+    return () => restorers.forEach(restore => restore());
+}
+
+/**
+ * Renders the comment tree with a checkbox per comment. Unticking a comment excludes it
+ * and all of its replies from the export.
+ * @param {Array} comments - The nested comments array.
+ * @param {Set} excluded - The set of excluded comment objects, updated as boxes are toggled.
+ * @returns {HTMLUListElement} The list element.
+ */
+function createReviewCommentList(comments, excluded) {
+    const list = document.createElement('ul');
+    comments.forEach(comment => {
+        const item = document.createElement('li');
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = "checkbox";
+        checkbox.checked = true;
+
+        const text = document.createElement('span');
+        const name = document.createElement('strong');
+        name.textContent = comment.name;
+        const message = comment.message.length > 140 ? comment.message.slice(0, 140) + "..." : comment.message;
+        text.append(name, " ", message || `[${(comment.attachments || []).map(a => a.type).join(", ")}]`);
+
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                excluded.delete(comment);
+            } else {
+                excluded.add(comment);
+            }
+            label.classList.toggle('fbpcv-excluded', !checkbox.checked);
+            item.querySelectorAll('ul input').forEach(child => { child.disabled = !checkbox.checked; });
+        });
+
+        label.append(checkbox, text);
+        item.appendChild(label);
+        if (comment.replies) {
+            item.appendChild(createReviewCommentList(comment.replies, excluded));
+        }
+        list.appendChild(item);
+    });
+    return list;
+}
+
+/**
+ * Builds the photo thumbnail and post details shown at the top of the review panel.
+ * @param {object} data - The scraped data for one photo.
+ * @returns {HTMLDivElement} The summary element.
+ */
+function createReviewSummary(data) {
+    const summary = document.createElement('div');
+    summary.className = "fbpcv-summary";
+    if (/^https?:/.test(data.mainPhotoUrl)) {
+        const photo = document.createElement('img');
+        photo.src = data.mainPhotoUrl;
+        photo.alt = "Main photo";
+        summary.appendChild(photo);
+    }
+    const details = document.createElement('div');
+    const author = document.createElement('strong');
+    author.textContent = data.postAuthor;
+    const meta = document.createElement('div');
+    meta.className = "fbpcv-muted";
+    meta.textContent = `${data.postDate} \u00b7 ${data.postLocation}`;
+    const counts = document.createElement('div');
+    const likesText = data.likes.firstLiker
+        ? `${data.likes.firstLiker} and ${data.likes.otherCount} others`
+        : `${data.totalReactions} reactions`;
+    const sharesText = data.shares > 0 ? ` \u00b7 ${data.shares} shares` : "";
+    counts.textContent = `${likesText}${sharesText} \u00b7 ${data.commentCoverage.loaded} of ${data.totalComments} comments loaded`;
+    details.append(author, meta, counts);
+    summary.appendChild(details);
+    return summary;
+}
+
+/**
+ * Creates a warning box for the review panel.
+ * @param {string} problem - The warning text.
+ * @returns {HTMLDivElement} The warning element.
+ */
+function createReviewWarning(problem) {
+    const warning = document.createElement('div');
+    warning.className = "fbpcv-warning";
+    warning.textContent = problem;
+    return warning;
+}
+
+/**
+ * Shows a floating panel on the Facebook page to review the scraped post before exporting it.
+ * The panel previews the post and its comment tree, outlines the detected page sections,
+ * lets the user untick comments to exclude, and offers Copy JSON, Download .json,
+ * and "Open in viewer" actions. An album bundle is shown photo by photo.
+ * @param {object} data - The object containing all scraped data, or an album bundle.
+ * @param {object|null} containers - The detected page sections, for highlighting; null for an album.
+ */
+function showReviewPanel(data, containers) {
+    document.getElementById(REVIEW_PANEL_ID)?.remove();
+    document.getElementById(REVIEW_PANEL_ID + "-styles")?.remove();
+
+    const styles = document.createElement('style');
+    styles.id = REVIEW_PANEL_ID + "-styles";
+    styles.textContent = REVIEW_PANEL_STYLES;
+    document.head.appendChild(styles);
+
+    const panel = document.createElement('div');
+    panel.id = REVIEW_PANEL_ID;
+
+    const excluded = new Set();
+    let removeHighlights = containers ? highlightSections(containers) : () => {};
+
+    // Header
+    const header = document.createElement('header');
+    const title = document.createElement('h2');
+    title.textContent = data.type === "album" ? `Review scraped album (${data.photos.length} photos)` : "Review scraped post";
+    const closeButton = document.createElement('button');
+    closeButton.textContent = "Close";
+    closeButton.addEventListener('click', () => {
+        removeHighlights();
+        panel.remove();
+        styles.remove();
+    });
+    header.append(title, closeButton);
+
+    // Body: summary, warnings, section legend, and the comment tree
+    const body = document.createElement('div');
+    body.className = "fbpcv-body";
+
+    const isAlbum = data.type === "album";
+    const photos = isAlbum ? data.photos : [data];
+
+    if (isAlbum) {
+        describeScrapeProblems(data).forEach(problem => body.appendChild(createReviewWarning(problem)));
+    }
+
+    if (containers) {
+        const legend = document.createElement('label');
+        legend.className = "fbpcv-legend";
+        const highlightToggle = document.createElement('input');
+        highlightToggle.type = "checkbox";
+        highlightToggle.checked = true;
+        highlightToggle.addEventListener('change', () => {
+            removeHighlights();
+            removeHighlights = highlightToggle.checked ? highlightSections(containers) : () => {};
+        });
+        legend.appendChild(highlightToggle);
+        Object.values(SECTION_HIGHLIGHTS).forEach(highlight => {
+            const key = document.createElement('span');
+            const swatch = document.createElement('span');
+            swatch.className = "fbpcv-swatch";
+            swatch.style.background = highlight.color;
+            key.append(swatch, highlight.label);
+            legend.appendChild(key);
+        });
+        body.appendChild(legend);
+    }
+
+    photos.forEach((photo, i) => {
+        if (isAlbum) {
+            const heading = document.createElement('h3');
+            heading.textContent = `Photo ${i + 1} of ${photos.length}`;
+            body.appendChild(heading);
+        }
+        body.appendChild(createReviewSummary(photo));
+        describeScrapeProblems(photo).forEach(problem => body.appendChild(createReviewWarning(problem)));
+
+        if (photo.comments.length > 0) {
+            body.appendChild(createReviewCommentList(photo.comments, excluded));
+        } else {
+            const empty = document.createElement('p');
+            empty.className = "fbpcv-muted";
+            empty.textContent = "No comments were captured.";
+            body.appendChild(empty);
+        }
+    });
+
+    // Footer actions
+    const footer = document.createElement('footer');
+    const status = document.createElement('div');
+    status.className = "fbpcv-status";
+
+    // Embedded images per photo, filled in by "Embed images"
+    const embeddedImages = new Map();
+
+    const exportPhoto = (photo) => {
+        const comments = filterExcludedComments(photo.comments, excluded);
+        const exported = { ...photo, comments };
+        if (embeddedImages.has(photo)) {
+            exported.embeddedImages = embeddedImages.get(photo);
+        }
+        exported.commentCoverage = { ...photo.commentCoverage, excluded: countComments(photo.comments) - countComments(comments) };
+        return exported;
+    };
+
+    // Sharing options: anonymize the export, and optionally blur the photo as well
+    const anonymizeLabel = document.createElement('label');
+    anonymizeLabel.className = "fbpcv-option";
+    anonymizeLabel.title = "Replace names with pseudonyms and avatars with identicons, redact emails, phone numbers and profile links, and remove links to Facebook";
+    const anonymizeToggle = document.createElement('input');
+    anonymizeToggle.type = "checkbox";
+    anonymizeLabel.append(anonymizeToggle, "Anonymize");
+    const blurLabel = document.createElement('label');
+    blurLabel.className = "fbpcv-option";
+    blurLabel.hidden = true;
+    const blurToggle = document.createElement('input');
+    blurToggle.type = "checkbox";
+    blurLabel.append(blurToggle, "Blur photo");
+    anonymizeToggle.addEventListener('change', () => { blurLabel.hidden = !anonymizeToggle.checked; });
+
+    const buildJson = async () => {
+        let exported = isAlbum ? { ...data, photos: photos.map(exportPhoto) } : exportPhoto(data);
+        if (anonymizeToggle.checked) {
+            status.textContent = "Anonymizing...";
+            exported = await anonymizeExport(exported, { blurPhoto: blurToggle.checked });
+        }
+        return JSON.stringify(exported, null, 2); // Pretty print JSON
+    };
+
+    const copyButton = document.createElement('button');
+    copyButton.className = "fbpcv-primary";
+    copyButton.textContent = "Copy JSON";
+    copyButton.addEventListener('click', async () => {
+        const copied = await copyTextToClipboard(await buildJson());
+        status.textContent = copied ? "Facebook post data copied to clipboard!" : "Failed to copy data. Try Download .json instead.";
+    });
+
+    const downloadButton = document.createElement('button');
+    downloadButton.textContent = "Download .json";
+    downloadButton.addEventListener('click', async () => {
+        // An anonymized file mustn't carry the author's name in its file name
+        const safeName = anonymizeToggle.checked ? "anonymized" : photos[0].postAuthor.replace(/[^\w-]+/g, "-").toLowerCase();
+        downloadTextFile(await buildJson(), `facebook-${isAlbum ? "album" : "post"}-${safeName}-${Date.now()}.json`);
+        status.textContent = "Download started.";
+    });
+
+    const viewerButton = document.createElement('button');
+    viewerButton.textContent = "Open in viewer";
+    viewerButton.addEventListener('click', async () => {
+        const json = await buildJson();
+        status.textContent = "Sending to the viewer...";
+        try {
+            await sendToViewer(json);
+            status.textContent = "The post is open in the viewer.";
+        } catch (error) {
+            // Fall back to the clipboard and the landing page's paste box
+            console.error("Direct handoff to the viewer failed:", error);
+            const copied = await copyTextToClipboard(json);
+            status.textContent = copied
+                ? `${error.message} The JSON was copied instead; paste it into ${VIEWER_BASE_URL}landing.html.`
+                : `${error.message} Use Download .json and paste the file contents into ${VIEWER_BASE_URL}landing.html.`;
+        }
+    });
+
+    const archiveButton = document.createElement('button');
+    archiveButton.textContent = "Embed images";
+    archiveButton.title = "Store the photo and avatars inside the JSON so the export keeps working after Facebook's image links expire";
+    archiveButton.addEventListener('click', async () => {
+        archiveButton.disabled = true;
+        // An album shares the size budget between its photos
+        const budgetBytes = Math.floor(ARCHIVE_LIMITS.budgetBytes / photos.length);
+        for (let i = 0; i < photos.length; i++) {
+            const prefix = isAlbum ? `Photo ${i + 1} of ${photos.length}: ` : "";
+            embeddedImages.set(photos[i], await archiveImages(photos[i], message => { status.textContent = prefix + message; }, budgetBytes));
+        }
+        const results = Array.from(embeddedImages.values());
+        const megabytes = (results.reduce((sum, embedded) => sum + embedded.usedBytes, 0) / (1024 * 1024)).toFixed(1);
+        const skipped = results.flatMap(embedded => embedded.skipped);
+        status.textContent = `Images embedded (${megabytes} MB).` +
+            (skipped.length > 0 ? ` Skipped: ${skipped.join("; ")}` : "");
+        archiveButton.textContent = "Images embedded";
+    });
+
+    footer.append(status, copyButton, downloadButton, viewerButton, archiveButton, anonymizeLabel, blurLabel);
+    panel.append(header, body, footer);
+    document.body.appendChild(panel);
+}
+
+/**
+ * Scrapes the photo currently shown: finds the page sections, loads every comment, and
+ * reads the post details, engagement, comments, photo and tags.
+ * @param {object} [options] - { offline: true } for a saved copy of the page, where nothing more
+ * can be loaded: comments aren't expanded and the reactions dialog isn't opened. { scrapedAt }
+ * is when the page was read, if not now (relative dates such as "8 h" count back from it).
+ * { progress } is passed on to expandAllComments, to report on an existing indicator.
+ * @returns {Promise<object>} { data, containers, locale, diagnostics }; data and containers are null
+ * if no post sections were found (diagnostics explains why).
+ */
+async function scrapeCurrentPhoto(options = {}) {
+    const { headerDiv, statsDiv, commentsDiv, datePermalink, diagnostics } = findCoreContainers();
+    const locale = detectLocale(diagnostics);
+    if (!headerDiv && !statsDiv && !commentsDiv) {
+        return { data: null, containers: null, locale, diagnostics };
+    }
+
+    // Load every comment, reply, and truncated message before reading the thread
+    const expansion = options.offline
+        ? { rounds: 0, clicks: 0, cancelled: false, timedOut: false, hitRoundLimit: false, offline: true }
+        : await expandAllComments(commentsDiv, EXPANSION_LIMITS, options.progress);
+
+    const { postAuthor, postLocation } = scrapePostAuthorAndMeta(headerDiv, datePermalink);
+    const scrapedAt = options.scrapedAt || new Date();
+    const postDate = scrapePostDate(datePermalink);
+    const postTimestamp = scrapePostTimestamp(datePermalink, postDate, locale, scrapedAt);
+    const { likes, totalReactions, totalComments, shares } = scrapeEngagement(statsDiv, locale);
+    const reactionBreakdown = await scrapeReactionBreakdown(statsDiv, locale, !options.offline);
+    diagnostics.reactions = reactionBreakdown.source;
+    const { comments, avatars } = scrapeCommentsAndAvatars(commentsDiv, postAuthor, locale, scrapedAt);
+    const mainPhotoUrl = scrapeMainPhoto(); // This now handles visibility check internally
+    const photoTags = scrapePhotoTags();
+
+    // Assemble all scraped data into a single object
+    const data = {
+        schemaVersion: SCHEMA_VERSION,
+        scrapedAt: scrapedAt.toISOString(),
+        photoUrl: cleanFacebookUrl(location.href),
+        mainPhotoUrl: mainPhotoUrl,
+        postAuthor: postAuthor,
+        postDate: postDate,
+        postTimestamp: postTimestamp,
+        postLocation: postLocation,
+        likes: likes,
+        totalReactions: totalReactions,
+        reactions: reactionBreakdown.reactions,
+        totalComments: totalComments,
+        shares: shares,
+        avatars: avatars,
+        comments: comments,
+        photoTags: photoTags,
+        commentCoverage: {
+            loaded: countComments(comments),
+            reported: totalComments,
+            expansion: expansion
+        },
+        diagnostics: diagnostics
+    };
+
+    return { data, containers: { headerDiv, statsDiv, commentsDiv }, locale, diagnostics };
+}
+
+// Limits for album mode, which steps through a photo set with the theater's "Next photo" arrow
+const ALBUM_LIMITS = {
+    maxPhotos: 50,              // Stop after this many photos
+    navigationTimeoutMs: 10000, // Give up if the next photo hasn't loaded by then
+    pollDelayMs: 250,           // Time between checks for the next photo
+    settleDelayMs: 1500         // Time to let the new photo's sidebar render before scraping it
+};
+
+/**
+ * Finds the theater's "Next photo" arrow, if the photo is part of an album or photo set.
+ * @param {object|null} locale - The entry of LOCALE_PACKS for the page; null tries every language.
+ * @returns {HTMLElement|null} The arrow, or null if there is no next photo.
+ */
+function findNextPhotoButton(locale) {
+    const packs = locale ? [locale] : Object.values(LOCALE_PACKS);
+    for (const pack of packs) {
+        const button = document.querySelector(`[aria-label="${pack.nextPhotoLabel}"]`);
+        if (button && button.getAttribute("aria-disabled") !== "true") {
+            return button;
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns an identifier for the photo currently shown: its fbid, or the page URL without tracking.
+ * @returns {string} The photo identifier.
+ */
+function getCurrentPhotoId() {
+    const url = new URL(location.href);
+    return url.searchParams.get("fbid") || cleanFacebookUrl(location.href);
+}
+
+/**
+ * Waits until the theater shows a different photo than before.
+ * @param {string} previousId - The identifier of the photo that was shown before clicking next.
+ * @param {object} limits - The ALBUM_LIMITS to use.
+ * @returns {Promise<boolean>} True once a new photo is shown; false if it didn't change in time.
+ */
+async function waitForPhotoChange(previousId, limits) {
+    const startedAt = Date.now();
+    while (Date.now() - startedAt < limits.navigationTimeoutMs) {
+        await delay(limits.pollDelayMs);
+        if (getCurrentPhotoId() !== previousId) {
+            await delay(limits.settleDelayMs);
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Walks an album from the current photo using the "Next photo" arrow, scraping each photo
+ * until the album wraps around to a photo already seen, there is no next photo, the user
+ * stops it, or ALBUM_LIMITS.maxPhotos is reached.
+ * @param {object} firstPhoto - The data for the photo shown when the bookmarklet was run.
+ * @param {object|null} locale - The entry of LOCALE_PACKS for the page, or null if unknown.
+ * @param {object} [limits=ALBUM_LIMITS] - Photo count and timing limits.
+ * @returns {Promise<object>} The album bundle: { schemaVersion, type: "album", scrapedAt, albumUrl, photos, albumCoverage }.
+ */
+async function scrapeAlbum(firstPhoto, locale, limits = ALBUM_LIMITS) {
+    console.log("--- Scraping album ---");
+    const albumUrl = cleanFacebookUrl(location.href);
+    const photos = [firstPhoto];
+    const seen = new Set([getCurrentPhotoId()]);
+    const coverage = { photos: 1, cancelled: false, hitPhotoLimit: false, navigationFailed: false };
+
+    // Each photo's comment expansion reports here too, so the one stop button ends the whole album
+    const indicator = createProgressIndicator(() => { coverage.cancelled = true; }, "Scraping album...", "Stop album scrape");
+    try {
+        while (!coverage.cancelled) {
+            if (photos.length >= limits.maxPhotos) {
+                coverage.hitPhotoLimit = true;
+                break;
+            }
+            const nextButton = findNextPhotoButton(locale);
+            if (!nextButton) {
+                break;
+            }
+
+            const previousId = getCurrentPhotoId();
+            nextButton.click();
+            if (!await waitForPhotoChange(previousId, limits)) {
+                coverage.navigationFailed = true;
+                break;
+            }
+            if (seen.has(getCurrentPhotoId())) {
+                break; // Back at the start of the album
+            }
+            seen.add(getCurrentPhotoId());
+
+            const label = `Scraping album: photo ${photos.length + 1}...`;
+            indicator.update(label);
+            const { data } = await scrapeCurrentPhoto({ progress: { indicator, cancel: coverage, label } });
+            if (data) {
+                photos.push(data);
+            }
+        }
+    } finally {
+        indicator.remove();
+    }
+
+    coverage.photos = photos.length;
+    console.log(`Album scraped: ${photos.length} photos.`);
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        type: "album",
+        scrapedAt: firstPhoto.scrapedAt,
+        albumUrl: albumUrl,
+        photos: photos,
+        albumCoverage: coverage
+    };
+}
+
 /**
  * Main function to run the scraper.
- * Orchestrates finding containers, scraping data, and copying to clipboard.
+ * Orchestrates finding containers, loading the full comment thread, scraping data,
+ * and showing the review panel. When the photo is part of an album, offers to step
+ * through the whole album and scrape every photo into one bundle.
  */
-function runScraper() {
+async function runScraper() {
     try {
         console.log("--- Starting Facebook Page Scraper v7.2 ---");
 
-        const coreContainers = findCoreContainers();
-        if (!coreContainers) {
-            alert("Scraper could not orient itself on the page. Core containers not found. Check console.");
+        const { data, containers, locale, diagnostics } = await scrapeCurrentPhoto();
+        if (!data) {
+            alert("Scraper could not orient itself on the page. No post sections were found.\n\n" + formatDiagnostics(diagnostics));
             return;
         }
 
-        const { headerDiv, statsDiv, commentsDiv, datePermalink } = coreContainers;
-
-        const { postAuthor, postLocation } = scrapePostAuthorAndMeta(headerDiv, datePermalink);
-        const postDate = scrapePostDate(datePermalink);
-        const { likes, totalComments } = scrapeEngagement(statsDiv);
-        const { comments, avatars } = scrapeCommentsAndAvatars(commentsDiv, postAuthor);
-        const mainPhotoUrl = scrapeMainPhoto(); // This now handles visibility check internally
-
-        // Assemble all scraped data into a single object
-        const scrapedData = {
-            mainPhotoUrl: mainPhotoUrl,
-            postAuthor: postAuthor,
-            postDate: postDate,
-            postLocation: postLocation,
-            likes: likes,
-            totalComments: totalComments,
-            avatars: avatars,
-            comments: comments
-        };
+        if (findNextPhotoButton(locale) && confirm("This photo is part of an album. Scrape every photo in the album?\n\n" +
+            "The scraper will step through the album with the Next arrow; each photo keeps its own comments.")) {
+            const album = await scrapeAlbum(data, locale);
+            showReviewPanel(album, null);
+            return;
+        }
 
-        finalizeAndCopy(scrapedData);
+        showReviewPanel(data, containers);
 
     } catch (error) {
         console.error("The Facebook scraper bookmarklet failed to run:", error);
@@ -446,7 +2459,14 @@ function runScraper() {
     }
 }
 
-// Execute the main scraper function when the bookmarklet is run
-runScraper();
-runScraper();
-}) ();
+// Execute the main scraper function when the bookmarklet is run. The offline extractor
+// (cli/extract.js) sets FBPCV_NO_AUTORUN and calls the scraping functions itself.
+if (window.FBPCV_NO_AUTORUN) {
+    window.FBPCV = {
+        SCHEMA_VERSION, findCoreContainers, detectLocale, formatDiagnostics, scrapePostAuthorAndMeta, scrapePostDate,
+        scrapePostTimestamp, scrapeEngagement, scrapeReactionBreakdown, scrapeCommentsAndAvatars, scrapeMainPhoto,
+        scrapePhotoTags, scrapeCurrentPhoto, cleanFacebookUrl, anonymizeExport
+    };
+} else {
+    runScraper();
+}
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * @file cli/build-bookmarklet.js
+ * @description Regenerates the bookmarklet that users install from bookmarklet.js: the
+ * javascript: URL in landing.html's link and in index.html's link and copy boxes. Run it after
+ * every change to bookmarklet.js, so the installed bookmarklet is the code in the repository.
+ * It also checks that the bookmarklet's copy of the anonymizer still matches anonymize.js.
+ *
+ * Usage: node cli/build-bookmarklet.js [--check]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// --- CONSTANTS --- //
+const ROOT_DIR = path.join(__dirname, '..');
+const BOOKMARKLET_SOURCE = path.join(ROOT_DIR, 'bookmarklet.js');
+const ANONYMIZER_SOURCE = path.join(ROOT_DIR, 'anonymize.js');
+
+// Pages that embed the bookmarklet, and where: link targets and the text of copy boxes
+const TARGET_PAGES = ['landing.html', 'index.html'];
+// The old embedded code contains quotes of both kinds, so a link ends where its id follows
+const HREF_PATTERN = /(href=(["']))javascript:[^\r\n]*?\2(?=\s+id="bookmarklet-link")/g;
+const TEXTAREA_PATTERN = /(<textarea[^>]*>)javascript:[^<]*/g;
+
+// Settings that anonymize.js and the bookmarklet's copy of it must agree on, compared as written
+// (with quotes normalized): the redaction patterns, the identicon colours and the blur settings
+const SHARED_ANONYMIZER_SETTINGS = {
+    'redaction patterns': /pattern: (\/.+\/[a-z]*)/g,
+    'identicon colours': /(\[["']#[^\]]*\])/g,
+    'photo blur settings': /(\{ sampleWidth: [^}]*\})/g
+};
+
+// Characters that would end the HTML attribute, be decoded as part of the URL, or be dropped
+// from it (line breaks); everything else is left readable
+const URL_UNSAFE_CHARACTERS = /[%"'<>&#\r\n\t]|[^\x20-\x7E]/gu;
+
+// --- FUNCTIONS --- //
+
+/**
+ * Removes comment lines and indentation from the bookmarklet source. Line breaks are kept, so
+ * automatic semicolons and trailing "// ..." comments behave exactly as in the source, and the
+ * lines of multi-line template literals are left untouched.
+ * @param {string} source - The contents of bookmarklet.js.
+ * @returns {string} The shortened source.
+ */
+function stripSource(source) {
+    const lines = [];
+    let inTemplate = false;
+    let inDocComment = false;
+    source.split(/\r?\n/).forEach(line => {
+        const trimmed = line.trim();
+        if (inTemplate) {
+            lines.push(line);
+        } else if (inDocComment) {
+            inDocComment = !trimmed.endsWith('*/');
+            return;
+        } else if (trimmed.startsWith('/*')) {
+            inDocComment = !trimmed.endsWith('*/');
+            return;
+        } else if (trimmed.startsWith('//') || trimmed === '') {
+            return;
+        } else {
+            lines.push(trimmed);
+        }
+        // An odd number of unescaped backticks opens or closes a template literal
+        const backticks = (line.match(/(?<!\\)`/g) || []).length;
+        if (backticks % 2 === 1) inTemplate = !inTemplate;
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Builds the javascript: URL for the bookmarklet. The code runs in its own function so its
+ * declarations don't leak into the Facebook page.
+ * @param {string} source - The contents of bookmarklet.js.
+ * @returns {string} The URL, safe to put in an HTML attribute or element as it is.
+ */
+function buildBookmarkletUrl(source) {
+    const code = `(function(){${stripSource(source)}\n})();`;
+    return `javascript:${code.replace(URL_UNSAFE_CHARACTERS, char => encodeURIComponent(char).replace(/'/g, '%27'))}`;
+}
+
+/**
+ * Puts the bookmarklet URL into a page.
+ * @param {string} html - The page's HTML.
+ * @param {string} url - The bookmarklet URL.
+ * @returns {string} The updated HTML.
+ */
+function embedBookmarklet(html, url) {
+    return html
+        .replace(HREF_PATTERN, (match, attribute, quote) => `${attribute}${url}${quote}`)
+        .replace(TEXTAREA_PATTERN, (match, openingTag) => `${openingTag}${url}`);
+}
+
+/**
+ * Lists the anonymizer settings that differ between anonymize.js and bookmarklet.js.
+ * @param {string} viewerSource - The contents of anonymize.js.
+ * @param {string} bookmarkletSource - The contents of bookmarklet.js.
+ * @returns {string[]} The names of the settings that differ, from SHARED_ANONYMIZER_SETTINGS.
+ */
+function findAnonymizerDrift(viewerSource, bookmarkletSource) {
+    const read = (source, pattern) => [...source.matchAll(pattern)].map(match => match[1].replace(/'/g, '"')).join('\n');
+    return Object.entries(SHARED_ANONYMIZER_SETTINGS)
+        .filter(([, pattern]) => read(viewerSource, pattern) !== read(bookmarkletSource, pattern))
+        .map(([name]) => name);
+}
+
+/**
+ * Runs the command. With --check, nothing is written and the exit code tells whether the
+ * pages are up to date.
+ * @param {string[]} args - The arguments after the script name.
+ * @returns {number} The exit code.
+ */
+function main(args) {
+    const check = args.includes('--check');
+    const source = fs.readFileSync(BOOKMARKLET_SOURCE, 'utf8');
+    const drift = findAnonymizerDrift(fs.readFileSync(ANONYMIZER_SOURCE, 'utf8'), source);
+    if (drift.length > 0) {
+        console.error(`The anonymizer in bookmarklet.js differs from anonymize.js (${drift.join(', ')}); make them match.`);
+        return 1;
+    }
+    const url = buildBookmarkletUrl(source);
+    let outdated = 0;
+    TARGET_PAGES.forEach(page => {
+        const pagePath = path.join(ROOT_DIR, page);
+        const html = fs.readFileSync(pagePath, 'utf8');
+        const updated = embedBookmarklet(html, url);
+        if (updated === html) return;
+        outdated++;
+        if (check) {
+            console.error(`${page} has an outdated bookmarklet; run node cli/build-bookmarklet.js`);
+        } else {
+            fs.writeFileSync(pagePath, updated);
+            console.log(`Updated the bookmarklet in ${page} (${url.length} characters).`);
+        }
+    });
+    return check && outdated > 0 ? 1 : 0;
+}
+
+// --- INITIALIZATION --- //
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+/**
+ * @file cli/extract.js
+ * @description Extracts the post JSON from Facebook photo pages saved with the browser's
+ * "Save page as", without a browser or a network connection. Each page is loaded into jsdom
+ * and read by the bookmarklet's own scraping functions, so the output is the same JSON the
+ * bookmarklet exports. Layout-dependent steps fall back to document order (see pageHasLayout
+ * in bookmarklet.js), and comments that were collapsed when the page was saved can't be loaded.
+ *
+ * Usage: node cli/extract.js [--out <dir>] [--anonymize] [--quiet] <file|dir|glob>...
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+// --- CONSTANTS --- //
+const ROOT_DIR = path.join(__dirname, '..');
+const BOOKMARKLET_SOURCE = path.join(ROOT_DIR, 'bookmarklet.js');
+const SCHEMA_SOURCE = path.join(ROOT_DIR, 'schema.js');
+
+const USAGE = `Usage: node cli/extract.js [options] <file|dir|glob>...
+
+Extracts post JSON from Facebook photo pages saved with "Save page as".
+Each page.html is written to page.json next to it, or into --out.
+Directories are searched for .html files; quote globs such as "saved/**/*.html".
+
+Options:
+  -o, --out <dir>   Write the JSON files into this directory
+  -a, --anonymize   Anonymize the output as the bookmarklet's "Anonymize" option does
+  -q, --quiet       Only report failures
+  -h, --help        Show this help
+
+Exits with 1 if any page could not be extracted, and 2 for usage errors.`;
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_EXTRACTION_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const HTML_EXTENSIONS = ['.html', '.htm'];
+
+// Fields a page must yield for its extraction to count as successful
+const REQUIRED_FIELDS = ['postAuthor', 'postDate', 'mainPhotoUrl'];
+
+// Chrome and Edge note the page's address at the top of a saved page
+const SAVED_FROM_PATTERN = /<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i;
+
+// --- FUNCTIONS --- //
+
+/**
+ * Reads the command-line arguments.
+ * @param {string[]} args - The arguments after the script name.
+ * @returns {object} { inputs, out, anonymize, quiet, help }.
+ * @throws {Error} For an unknown option or an option missing its value.
+ */
+function parseArguments(args) {
+    const options = { inputs: [], out: null, anonymize: false, quiet: false, help: false };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '-a' || arg === '--anonymize') {
+            options.anonymize = true;
+        } else if (arg === '-q' || arg === '--quiet') {
+            options.quiet = true;
+        } else if (arg === '-o' || arg === '--out') {
+            if (i + 1 >= args.length) throw new Error(`${arg} needs a directory`);
+            options.out = args[++i];
+        } else if (arg.startsWith('--out=')) {
+            options.out = arg.slice('--out='.length);
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.inputs.push(arg);
+        }
+    }
+    return options;
+}
+
+/**
+ * Converts one path segment of a glob to a regular expression: * matches any characters
+ * except "/", ? matches one character, and [abc] matches a character class.
+ * @param {string} segment - The segment, e.g. "*.html".
+ * @returns {RegExp} The anchored expression.
+ */
+function segmentToRegExp(segment) {
+    let source = '';
+    for (let i = 0; i < segment.length; i++) {
+        const char = segment[i];
+        const classEnd = char === '[' ? segment.indexOf(']', i + 1) : -1;
+        if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (classEnd > i + 1) {
+            source += `[${segment.slice(i + 1, classEnd).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+            i = classEnd;
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Tells whether a path segment contains glob characters.
+ * @param {string} segment - The segment.
+ * @returns {boolean} True for a pattern such as "*.html".
+ */
+function isGlobSegment(segment) {
+    return /[*?[]/.test(segment);
+}
+
+/**
+ * Lists a directory's entries, or nothing if it can't be read.
+ * @param {string} dir - The directory.
+ * @returns {fs.Dirent[]} The entries, sorted by name.
+ */
+function readDirectory(dir) {
+    try {
+        return fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Finds the files matching a glob. "**" matches any number of directories; hidden
+ * directories are only searched when a segment names them.
+ * @param {string} pattern - The glob, e.g. "saved/**\/*.html".
+ * @returns {string[]} The matching files.
+ */
+function expandGlob(pattern) {
+    const segments = pattern.split(/[\\/]/);
+    const firstGlob = segments.findIndex(isGlobSegment);
+    const base = segments.slice(0, firstGlob).join(path.sep) || (path.isAbsolute(pattern) ? path.sep : '.');
+    const matches = [];
+
+    const walk = (dir, rest) => {
+        if (rest.length === 0) return;
+        const [segment, ...remaining] = rest;
+        if (segment === '**') {
+            walk(dir, remaining);
+            readDirectory(dir)
+                .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+                .forEach(entry => walk(path.join(dir, entry.name), rest));
+            return;
+        }
+        const matcher = isGlobSegment(segment) ? segmentToRegExp(segment) : null;
+        readDirectory(dir)
+            .filter(entry => matcher ? matcher.test(entry.name) && (segment.startsWith('.') || !entry.name.startsWith('.')) : entry.name === segment)
+            .forEach(entry => {
+                const entryPath = path.join(dir, entry.name);
+                if (remaining.length === 0) {
+                    if (entry.isFile()) matches.push(entryPath);
+                } else if (entry.isDirectory()) {
+                    walk(entryPath, remaining);
+                }
+            });
+    };
+    walk(base, segments.slice(firstGlob));
+    return [...new Set(matches)];
+}
+
+/**
+ * Turns the inputs into the list of pages to extract: files as given, the .html files
+ * directly inside directories, and the files matching globs.
+ * @param {string[]} inputs - The file, directory and glob arguments.
+ * @returns {object} { files, unmatched } where unmatched lists the inputs that found nothing.
+ */
+function resolveInputs(inputs) {
+    const files = [];
+    const unmatched = [];
+    inputs.forEach(input => {
+        let found = [];
+        if (input.split(/[\\/]/).some(isGlobSegment) && !fs.existsSync(input)) {
+            found = expandGlob(input);
+        } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+            found = readDirectory(input)
+                .filter(entry => entry.isFile() && HTML_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+                .map(entry => path.join(input, entry.name));
+        } else if (fs.existsSync(input)) {
+            found = [input];
+        }
+        if (found.length === 0) unmatched.push(input);
+        found.forEach(file => {
+            if (!files.includes(file)) files.push(file);
+        });
+    });
+    return { files, unmatched };
+}
+
+/**
+ * Finds the address a saved page was saved from: the browser's "saved from" note, the
+ * canonical link, or the og:url meta tag.
+ * @param {string} html - The saved page's HTML.
+ * @param {Document} document - The parsed page.
+ * @returns {string|null} The address, or null if the page doesn't record it.
+ */
+function findPageUrl(html, document) {
+    const savedFrom = html.slice(0, 2048).match(SAVED_FROM_PATTERN);
+    const candidates = [
+        savedFrom && savedFrom[1],
+        document.querySelector('link[rel="canonical"]')?.getAttribute('href'),
+        document.querySelector('meta[property="og:url"]')?.getAttribute('content')
+    ];
+    return candidates.find(url => url && /^https?:\/\//i.test(url)) || null;
+}
+
+/**
+ * Lists the required fields that came out missing, with the placeholder the scraper wrote.
+ * @param {object} data - The extracted post data.
+ * @param {function} isMissingValue - isMissingValue from schema.js.
+ * @returns {Array} { field, value } for each missing field.
+ */
+function findMissingFields(data, isMissingValue) {
+    return REQUIRED_FIELDS
+        .filter(field => isMissingValue(data[field]))
+        .map(field => ({ field, value: data[field] }));
+}
+
+/**
+ * Extracts the post data from one saved page.
+ * @param {string} file - The saved page.
+ * @param {object} options - The command-line options.
+ * @returns {Promise<object>} { data, report } where data is null if the page couldn't be
+ * extracted and report holds the field-level lines explaining why.
+ */
+async function extractFile(file, options) {
+    const html = fs.readFileSync(file, 'utf8');
+    // Page scripts don't run and nothing is fetched; the scraper's logging is dropped
+    const dom = new JSDOM(html, { url: pathToFileURL(path.resolve(file)).href, runScripts: 'outside-only', virtualConsole: new VirtualConsole() });
+    const { window } = dom;
+    try {
+        window.FBPCV_NO_AUTORUN = true;
+        window.eval(fs.readFileSync(SCHEMA_SOURCE, 'utf8'));
+        window.eval(fs.readFileSync(BOOKMARKLET_SOURCE, 'utf8'));
+        const { FBPCV } = window;
+
+        // The file was last written when the page was saved, which is when its relative dates were true
+        const scrapedAt = new window.Date(fs.statSync(file).mtimeMs);
+        const { data, diagnostics } = await FBPCV.scrapeCurrentPhoto({ offline: true, scrapedAt });
+        const report = FBPCV.formatDiagnostics(diagnostics).split('\n');
+        if (!data) {
+            return { data: null, report: ['No post sections were found.', ...report] };
+        }
+
+        const pageUrl = findPageUrl(html, window.document);
+        data.photoUrl = pageUrl ? FBPCV.cleanFacebookUrl(pageUrl) : 'PAGE_URL_NOT_FOUND';
+        data.commentCoverage = { ...data.commentCoverage, excluded: 0 };
+
+        const missing = findMissingFields(data, window.isMissingValue);
+        const errors = window.validatePostData(data).map(window.formatValidationError);
+        const failed = missing.length > 0 || errors.length > 0 || Object.values(diagnostics.fields).includes(null);
+        report.push(
+            ...missing.map(({ field, value }) => `${field}: NOT FOUND${value ? ` (${value})` : ''}`),
+            ...errors.map(error => `schema: ${error}`)
+        );
+        if (failed) {
+            return { data: null, report };
+        }
+
+        const output = options.anonymize ? await FBPCV.anonymizeExport(data) : data;
+        // Copy out of the page's realm so nothing keeps the window alive
+        return { data: JSON.parse(JSON.stringify(output)), report };
+    } finally {
+        window.close();
+    }
+}
+
+/**
+ * Works out where a page's JSON goes: next to the page, or into the --out directory.
+ * @param {string} file - The saved page.
+ * @param {string|null} outDir - The --out directory, if any.
+ * @returns {string} The JSON file's path.
+ */
+function getOutputPath(file, outDir) {
+    const name = `${path.basename(file, path.extname(file))}.json`;
+    return path.join(outDir || path.dirname(file), name);
+}
+
+/**
+ * Runs the command.
+ * @param {string[]} args - The arguments after the script name.
+ * @returns {Promise<number>} The exit code.
+ */
+async function main(args) {
+    let options;
+    try {
+        options = parseArguments(args);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
+    if (options.inputs.length === 0) {
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    const { files, unmatched } = resolveInputs(options.inputs);
+    unmatched.forEach(input => console.error(`No saved pages found for ${input}`));
+    if (files.length === 0) {
+        return EXIT_USAGE;
+    }
+    if (options.out) {
+        fs.mkdirSync(options.out, { recursive: true });
+    }
+
+    const failures = [];
+    for (const file of files) {
+        let result;
+        try {
+            result = await extractFile(file, options);
+        } catch (error) {
+            result = { data: null, report: [`The scraper failed: ${error.message}`] };
+        }
+        if (!result.data) {
+            failures.push(file);
+            console.error(`FAILED ${file}\n${result.report.map(line => `  ${line}`).join('\n')}`);
+            continue;
+        }
+        const outputPath = getOutputPath(file, options.out);
+        fs.writeFileSync(outputPath, `${JSON.stringify(result.data, null, 2)}\n`);
+        if (!options.quiet) {
+            console.log(`${file} -> ${outputPath} (${result.data.commentCoverage.loaded} comments)`);
+        }
+    }
+
+    if (!options.quiet || failures.length > 0) {
+        console.log(`${files.length - failures.length} of ${files.length} page(s) extracted.`);
+    }
+    return failures.length > 0 || unmatched.length > 0 ? EXIT_EXTRACTION_FAILED : EXIT_OK;
+}
+
+// --- INITIALIZATION --- //
+main(process.argv.slice(2)).then(code => { process.exitCode = code; });
@@ -0,0 +1,106 @@
+/**
+ * @file curation.js
+ * @description Presenter edits (hide, pin, reorder, notes) kept as an overlay on top of the
+ * scraped comments. The scraped comments are never changed; the overlay is applied when the
+ * viewer builds its playlist or exports the post.
+ */
+
+// --- CONSTANTS --- //
+// The key `order` uses for the list of top-level comments
+const ROOT_THREAD_KEY = 'root';
+
+// --- FUNCTIONS --- //
+
+/**
+ * Returns a curation overlay with every field in place, dropping anything malformed.
+ * @param {object} [curation] - The stored overlay, if any.
+ * @returns {object} { hidden: string[], pinned: string[], order: {parentKey: string[]}, notes: {key: string} }
+ */
+function normalizeCuration(curation) {
+    const source = curation && typeof curation === 'object' ? curation : {};
+    const stringList = list => (Array.isArray(list) ? list.filter(item => typeof item === 'string') : []);
+    const order = {};
+    Object.entries(source.order && typeof source.order === 'object' ? source.order : {}).forEach(([parentKey, keys]) => {
+        order[parentKey] = stringList(keys);
+    });
+    const notes = {};
+    Object.entries(source.notes && typeof source.notes === 'object' ? source.notes : {}).forEach(([key, note]) => {
+        if (typeof note === 'string' && note.trim() !== '') notes[key] = note;
+    });
+    return { hidden: stringList(source.hidden), pinned: stringList(source.pinned), order, notes };
+}
+
+/**
+ * Checks whether a curation overlay changes anything.
+ * @param {object} curation - A normalized curation overlay.
+ * @returns {boolean} True if there is at least one edit.
+ */
+function hasCurationEdits(curation) {
+    return curation.hidden.length > 0 || curation.pinned.length > 0 ||
+        Object.keys(curation.order).length > 0 || Object.keys(curation.notes).length > 0;
+}
+
+/**
+ * Returns the key edits are stored under for a comment: its Facebook ID when the scraper
+ * captured one, otherwise its position in the scraped tree (e.g. "path:2.0").
+ * @param {object} comment - The comment.
+ * @param {string} path - The comment's position, as dot-separated indexes.
+ * @returns {string} The comment key.
+ */
+function getCommentKey(comment, path) {
+    return comment.id ? `id:${comment.id}` : `path:${path}`;
+}
+
+/**
+ * Applies a curation overlay to a comment tree: pinned comments move to the top of their
+ * thread, then the saved order is applied, and hidden comments (with their replies) are removed.
+ * Each returned comment carries its `key`, `parentKey`, `isPinned`, `isHidden` and `note`.
+ * @param {Array} comments - The scraped (top-level) comments.
+ * @param {object} curation - A normalized curation overlay.
+ * @param {object} [options] - { includeHidden: true } keeps hidden comments (for edit mode).
+ * @returns {Array} A new, curated comment tree.
+ */
+function applyCuration(comments, curation, options = {}) {
+    const hidden = new Set(curation.hidden);
+    const pinned = new Set(curation.pinned);
+
+    const curateThread = (siblings, parentKey, pathPrefix) => {
+        const curated = siblings.map((comment, i) => {
+            const key = getCommentKey(comment, `${pathPrefix}${i}`);
+            const entry = {
+                ...comment,
+                key,
+                parentKey,
+                isPinned: pinned.has(key),
+                isHidden: hidden.has(key),
+                note: curation.notes[key] || ''
+            };
+            if (comment.replies) entry.replies = curateThread(comment.replies, key, `${pathPrefix}${i}.`);
+            return entry;
+        });
+
+        // Comments missing from the saved order (e.g. new ones) keep their scraped position after it
+        const order = curation.order[parentKey] || [];
+        const rank = new Map(curated.map((entry, i) => [entry.key, order.includes(entry.key) ? order.indexOf(entry.key) : order.length + i]));
+        curated.sort((a, b) => (b.isPinned - a.isPinned) || (rank.get(a.key) - rank.get(b.key)));
+
+        return options.includeHidden ? curated : curated.filter(entry => !entry.isHidden);
+    };
+
+    return curateThread(comments, ROOT_THREAD_KEY, '');
+}
+
+/**
+ * Applies a curation overlay for export: the result is plain comment data in the curated order,
+ * without hidden comments, curation fields or private notes.
+ * @param {Array} comments - The scraped (top-level) comments.
+ * @param {object} curation - A normalized curation overlay.
+ * @returns {Array} The curated comment tree.
+ */
+function exportCuratedComments(comments, curation) {
+    const strip = list => list.map(({ key, parentKey, isPinned, isHidden, note, ...comment }) => {
+        if (comment.replies) comment.replies = strip(comment.replies);
+        return comment;
+    });
+    return strip(applyCuration(comments, curation));
+}
@@ -0,0 +1,343 @@
+/**
+ * @file diff.js
+ * @description Compares two scrapes of the same post (from the library or from JSON files),
+ * lists the new, deleted and edited comments and the changed counts, and saves the two as one
+ * merged post.
+ */
+
+// --- CONSTANTS --- //
+// How many characters of a comment to show in the lists
+const DIFF_MESSAGE_PREVIEW_LENGTH = 200;
+
+// --- STATE --- //
+// The chosen scrapes: { data, libraryId, label } or null
+const scrapeSources = { previous: null, current: null };
+let librarySummaries = [];
+let mergedPost = null;
+
+// --- DOM REFERENCES --- //
+const sourceInputs = {
+    previous: {
+        select: document.getElementById('previous-select'),
+        file: document.getElementById('previous-file'),
+        label: document.getElementById('previous-label')
+    },
+    current: {
+        select: document.getElementById('current-select'),
+        file: document.getElementById('current-file'),
+        label: document.getElementById('current-label')
+    }
+};
+const diffStatus = document.getElementById('diff-status');
+const diffResults = document.getElementById('diff-results');
+const saveMergedButton = document.getElementById('save-merged-btn');
+const openMergedLink = document.getElementById('open-merged-link');
+
+// --- FUNCTIONS --- //
+
+/**
+ * Shows a status message above the comparison.
+ * @param {string} message - The message to show.
+ */
+function setStatus(message) {
+    diffStatus.textContent = message;
+}
+
+/**
+ * Describes a scrape for the label under its picker.
+ * @param {object} data - The post data or album bundle.
+ * @returns {string} E.g. "Scraped 3/4/2025, 10:15:00 · 2 earlier scrapes".
+ */
+function describeScrape(data) {
+    const scrapedAt = parseTimestamp(data.scrapedAt);
+    const post = isAlbumBundle(data) ? data.photos[0] : data;
+    const earlier = Array.isArray(post.scrapeHistory) ? post.scrapeHistory.length - 1 : 0;
+    return [
+        scrapedAt ? `Scraped ${scrapedAt.toLocaleString()}` : 'Scrape time unknown',
+        isAlbumBundle(data) ? `${data.photos.length} photos` : '',
+        earlier > 0 ? `${earlier} earlier scrape(s) merged in` : ''
+    ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Fills both library pickers with the saved posts.
+ */
+function populateLibraryOptions() {
+    Object.values(sourceInputs).forEach(({ select }) => {
+        librarySummaries.forEach(summary => {
+            const option = document.createElement('option');
+            option.value = summary.id;
+            option.textContent = summary.title;
+            select.appendChild(option);
+        });
+    });
+}
+
+/**
+ * Records the scrape chosen for one side and refreshes the comparison.
+ * @param {string} side - 'previous' or 'current'.
+ * @param {object|null} source - { data, libraryId, label }, or null to clear the side.
+ */
+function setScrapeSource(side, source) {
+    scrapeSources[side] = source;
+    sourceInputs[side].label.textContent = source ? `${source.label} – ${describeScrape(source.data)}` : '';
+    renderDiff();
+}
+
+/**
+ * Loads a post from the library into one side.
+ * @param {string} side - 'previous' or 'current'.
+ */
+async function handleLibraryChoice(side) {
+    const { select, file } = sourceInputs[side];
+    file.value = '';
+    if (!select.value) {
+        setScrapeSource(side, null);
+        return;
+    }
+    let data;
+    try {
+        data = await getLibraryPost(select.value);
+    } catch (error) {
+        console.error('Could not read the library post:', error);
+        setScrapeSource(side, null);
+        setStatus('Could not read that post from the library. Your browser may be blocking storage for this page.');
+        return;
+    }
+    if (!data) {
+        setStatus('That post is no longer in the library.');
+        return;
+    }
+    const summary = librarySummaries.find(s => s.id === select.value);
+    setScrapeSource(side, { data, libraryId: select.value, label: summary ? summary.title : 'Library post' });
+}
+
+/**
+ * Loads a post JSON file into one side after migrating and validating it.
+ * @param {string} side - 'previous' or 'current'.
+ * @param {File} file - The file chosen by the user.
+ */
+async function handleFileChoice(side, file) {
+    sourceInputs[side].select.value = '';
+    let parsed;
+    try {
+        parsed = JSON.parse(await file.text());
+    } catch (e) {
+        setStatus(`${file.name} is not valid JSON.`);
+        setScrapeSource(side, null);
+        return;
+    }
+    const { data, errors } = preparePostData(parsed);
+    if (errors.length > 0) {
+        setStatus(`${file.name}: ${errors.map(formatValidationError).join('; ')}`);
+        setScrapeSource(side, null);
+        return;
+    }
+    setScrapeSource(side, { data, libraryId: null, label: file.name });
+}
+
+/**
+ * Shortens a comment for the lists.
+ * @param {string} message - The comment text.
+ * @returns {string} The text, cut at DIFF_MESSAGE_PREVIEW_LENGTH characters.
+ */
+function previewMessage(message) {
+    return message.length > DIFF_MESSAGE_PREVIEW_LENGTH ? `${message.slice(0, DIFF_MESSAGE_PREVIEW_LENGTH)}…` : message;
+}
+
+/**
+ * Creates the list item for one new or deleted comment.
+ * @param {object} comment - The comment, with its parentName.
+ * @returns {HTMLElement} The list item.
+ */
+function createCommentItem(comment) {
+    const item = document.createElement('li');
+    const name = document.createElement('strong');
+    name.textContent = comment.name;
+    item.append(name);
+    if (comment.parentName) item.append(` (reply to ${comment.parentName})`);
+    item.append(`: ${previewMessage(comment.message)}`);
+    return item;
+}
+
+/**
+ * Creates the list item for one edited comment, showing its text before and after.
+ * @param {object} change - { before, after }.
+ * @returns {HTMLElement} The list item.
+ */
+function createEditedItem(change) {
+    const item = document.createElement('li');
+    const name = document.createElement('strong');
+    name.textContent = change.after.name;
+    const before = document.createElement('del');
+    before.textContent = previewMessage(change.before.message);
+    const after = document.createElement('ins');
+    after.textContent = previewMessage(change.after.message);
+    item.append(name, ': ', before, ' → ', after);
+    return item;
+}
+
+/**
+ * Creates a headed list of changes, or nothing when the list is empty.
+ * @param {string} title - The heading, e.g. "New comments".
+ * @param {Array} entries - The changes to list.
+ * @param {function} createItem - Creates the list item for one change.
+ * @param {string} className - The list's modifier class.
+ * @returns {HTMLElement[]} The heading and list, or an empty array.
+ */
+function createChangeList(title, entries, createItem, className) {
+    if (entries.length === 0) return [];
+    const heading = document.createElement('h3');
+    heading.textContent = `${title} (${entries.length})`;
+    const list = document.createElement('ul');
+    list.className = `diff-list ${className}`;
+    entries.forEach(entry => list.appendChild(createItem(entry)));
+    return [heading, list];
+}
+
+/**
+ * Creates the table of counts that changed between the scrapes.
+ * @param {Array} counts - The { label, before, after } counts from diffPosts.
+ * @returns {HTMLElement} The table.
+ */
+function createCountsTable(counts) {
+    const table = document.createElement('table');
+    table.className = 'analytics-table';
+    const header = table.createTHead().insertRow();
+    ['', 'Before', 'After', 'Change'].forEach(text => {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        header.appendChild(cell);
+    });
+    const body = table.createTBody();
+    counts.forEach(({ label, before, after }) => {
+        const row = body.insertRow();
+        const change = Number.isInteger(before) && Number.isInteger(after) ? after - before : null;
+        [label, before ?? '–', after ?? '–', change === null || change === 0 ? '' : `${change > 0 ? '+' : ''}${change}`]
+            .forEach(text => { row.insertCell().textContent = text; });
+        if (change) row.className = change > 0 ? 'diff-increase' : 'diff-decrease';
+    });
+    return table;
+}
+
+/**
+ * Creates the comparison of one post (or one album photo).
+ * @param {object} previous - The earlier post data.
+ * @param {object} current - The newer post data.
+ * @param {string} [title] - A heading, used for album photos.
+ * @returns {HTMLElement} The comparison section.
+ */
+function createPostDiff(previous, current, title) {
+    const section = document.createElement('section');
+    section.className = 'diff-post';
+    if (title) {
+        const heading = document.createElement('h2');
+        heading.textContent = title;
+        section.appendChild(heading);
+    }
+    const diff = diffPosts(previous, current);
+    const summary = document.createElement('p');
+    summary.className = 'library-meta';
+    summary.textContent = `${diff.added.length} new, ${diff.removed.length} deleted, ${diff.edited.length} edited, ${diff.unchanged} unchanged comments`;
+    section.append(
+        summary,
+        createCountsTable(diff.counts),
+        ...createChangeList('New comments', diff.added, createCommentItem, 'diff-added'),
+        ...createChangeList('Deleted comments', diff.removed, createCommentItem, 'diff-removed'),
+        ...createChangeList('Edited comments', diff.edited, createEditedItem, 'diff-edited')
+    );
+    return section;
+}
+
+/**
+ * Compares the two chosen scrapes and prepares their merge.
+ */
+function renderDiff() {
+    diffResults.innerHTML = '';
+    mergedPost = null;
+    saveMergedButton.disabled = true;
+    openMergedLink.hidden = true;
+
+    const { previous, current } = scrapeSources;
+    if (!previous || !current) {
+        setStatus('Choose an earlier and a newer scrape to compare.');
+        return;
+    }
+    try {
+        mergedPost = mergeScrapes(previous.data, current.data);
+    } catch (error) {
+        setStatus(error.message);
+        return;
+    }
+
+    if (isAlbumBundle(current.data)) {
+        pairAlbumPhotos(previous.data, current.data).forEach(([before, photo], i) => {
+            const title = `Photo ${i + 1} of ${current.data.photos.length}`;
+            if (before) {
+                diffResults.appendChild(createPostDiff(before, photo, title));
+            } else {
+                // A photo added to the album since: every comment on it is new
+                diffResults.appendChild(createPostDiff({ comments: [] }, photo, `${title} (new photo)`));
+            }
+        });
+    } else {
+        diffResults.appendChild(createPostDiff(previous.data, current.data));
+    }
+
+    const previousTime = parseTimestamp(previous.data.scrapedAt);
+    const currentTime = parseTimestamp(current.data.scrapedAt);
+    setStatus(previousTime && currentTime && previousTime > currentTime
+        ? 'The "earlier" scrape was taken after the "newer" one. Swap them unless that was intended.'
+        : 'Comparison ready.');
+    saveMergedButton.disabled = false;
+}
+
+/**
+ * Saves the merged post: it replaces the earlier scrape when that came from the library,
+ * otherwise it is added as a new post.
+ */
+async function handleSaveMerged() {
+    if (!mergedPost) return;
+    saveMergedButton.disabled = true;
+    const { previous } = scrapeSources;
+    let id;
+    try {
+        if (previous.libraryId) {
+            id = previous.libraryId;
+            await updateLibraryPost(id, mergedPost);
+        } else {
+            id = await savePostToLibrary(mergedPost);
+        }
+    } catch (error) {
+        console.error('Could not save the merged post:', error);
+        setStatus('Could not save the merged post. Your browser may be blocking storage for this page.');
+        saveMergedButton.disabled = false;
+        return;
+    }
+    setStatus(previous.libraryId ? `Merged into "${previous.label}".` : 'Saved the merged post to the library.');
+    openMergedLink.href = `viewer.html?post=${encodeURIComponent(id)}`;
+    openMergedLink.hidden = false;
+}
+
+/**
+ * Initializes the compare page.
+ */
+async function initializeDiffPage() {
+    Object.entries(sourceInputs).forEach(([side, { select, file }]) => {
+        select.addEventListener('change', () => handleLibraryChoice(side));
+        file.addEventListener('change', () => {
+            if (file.files.length > 0) handleFileChoice(side, file.files[0]);
+        });
+    });
+    saveMergedButton.addEventListener('click', handleSaveMerged);
+    try {
+        librarySummaries = await listLibraryPosts();
+        populateLibraryOptions();
+    } catch (error) {
+        console.error('Could not open the library:', error);
+    }
+    renderDiff();
+}
+
+// --- INITIALIZATION --- //
+document.addEventListener('DOMContentLoaded', initializeDiffPage);
@@ -1,15 +1,48 @@
+/**
+ * Shows validation errors under the JSON input, or hides the list when there are none.
+ * @param {string[]} messages - The error messages to show.
+ */
+function showValidationErrors(messages) {
+  const list = document.getElementById('validation-errors');
+  list.innerHTML = '';
+  messages.forEach(function(message) {
+    const item = document.createElement('li');
+    item.textContent = message;
+    list.appendChild(item);
+  });
+  list.hidden = messages.length === 0;
+}
+
 document.getElementById('open-viewer-btn').addEventListener('click', function() {
   const json = document.getElementById('json-input').value.trim();
   if (!json) {
     alert('Please paste the JSON output from the bookmarklet.');
     return;
   }
+  let parsed;
   try {
-    JSON.parse(json);
+    parsed = JSON.parse(json);
   } catch (e) {
-    alert('Invalid JSON. Please check your input.');
+    showValidationErrors(['Invalid JSON: ' + e.message]);
     return;
   }
-  localStorage.setItem('fb_photo_comment_json', json);
-  window.open('index.html', '_blank');
+  const result = preparePostData(parsed);
+  if (result.errors.length > 0) {
+    showValidationErrors(result.errors.map(formatValidationError));
+    return;
+  }
+  showValidationErrors([]);
+  // Open the window now, while the click still counts as a user gesture, and point it at the post once saved
+  const viewerWindow = window.open('', '_blank');
+  const openViewer = function(url) {
+    if (viewerWindow) viewerWindow.location.href = url;
+    else window.location.href = url;
+  };
+  savePostToLibrary(result.data).then(function(id) {
+    openViewer('viewer.html?post=' + encodeURIComponent(id));
+  }).catch(function(error) {
+    console.error('Could not save the post to the library:', error);
+    localStorage.setItem('fb_photo_comment_json', JSON.stringify(result.data));
+    openViewer('viewer.html');
+  });
 });
@@ -0,0 +1,207 @@
+/**
+ * @file library-store.js
+ * @description Stores scraped posts in IndexedDB so many posts can be kept side by side.
+ * Shared by the library page, the landing page and the viewer.
+ */
+
+// --- CONSTANTS --- //
+const LIBRARY_DB_NAME = 'fb_photo_comment_library';
+const LIBRARY_DB_VERSION = 1;
+// Small records listed on the library page, kept apart from the (possibly very large) post data
+const SUMMARY_STORE = 'summaries';
+const POST_STORE = 'posts';
+const THUMBNAIL_SIZE = 160;
+
+// --- FUNCTIONS --- //
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - The request to wait for.
+ * @returns {Promise<*>} Resolves with the request's result.
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Waits for an IndexedDB transaction to finish.
+ * @param {IDBTransaction} transaction - The transaction to wait for.
+ * @returns {Promise<void>} Resolves when the transaction completes.
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Opens (and on first use, creates) the library database.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+function openLibraryDatabase() {
+    const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SUMMARY_STORE)) db.createObjectStore(SUMMARY_STORE, { keyPath: 'id' });
+        if (!db.objectStoreNames.contains(POST_STORE)) db.createObjectStore(POST_STORE);
+    };
+    return requestToPromise(request);
+}
+
+/**
+ * Counts the comments in a tree that were on the post at its latest scrape, leaving out the
+ * deleted ones a merged post keeps (see merge.js).
+ * @param {Array} comments - The nested comments array.
+ * @returns {number} The number of comments and replies.
+ */
+function countLiveComments(comments) {
+    return (comments || []).reduce((total, comment) =>
+        total + (comment.removedIn === undefined ? 1 : 0) + countLiveComments(comment.replies), 0);
+}
+
+/**
+ * Creates a small thumbnail for the library list. Embedded (archived) photos are downscaled
+ * to a data URI; for plain URLs the URL itself is used, since cross-origin images can't be read back.
+ * @param {object} data - The post data.
+ * @returns {Promise<string|null>} The thumbnail source, or null if the post has no photo.
+ */
+async function createPostThumbnail(data) {
+    const source = data.embeddedImages?.mainPhoto || (isMissingValue(data.mainPhotoUrl) ? null : data.mainPhotoUrl);
+    if (!source || !source.startsWith('data:')) return source;
+    try {
+        const image = new Image();
+        image.src = source;
+        await image.decode();
+        const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', 0.8);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Builds the summary record shown in the library list. An album is summarized by its first
+ * photo, with the comments of every photo counted.
+ * @param {string} id - The post's library ID.
+ * @param {object} data - The post data or album bundle.
+ * @param {string} [title] - A custom title; defaults to "Author – date".
+ * @returns {Promise<object>} The summary record.
+ */
+async function buildPostSummary(id, data, title) {
+    const photos = isAlbumBundle(data) ? data.photos : [data];
+    const post = photos[0];
+    const author = isMissingValue(post.postAuthor) ? 'Unknown author' : post.postAuthor;
+    // Relative dates ("8 h") are meaningless once saved, so prefer the normalized timestamp
+    const posted = parseTimestamp(post.postTimestamp);
+    const postDate = posted ? posted.toLocaleDateString() : (isMissingValue(post.postDate) ? '' : post.postDate);
+    return {
+        id,
+        title: title || (postDate ? `${author} – ${postDate}` : author),
+        author,
+        postDate,
+        commentCount: photos.reduce((total, photo) => total + countLiveComments(photo.comments), 0),
+        totalComments: photos.reduce((total, photo) => total + (photo.totalComments || 0), 0),
+        photoCount: photos.length,
+        thumbnail: await createPostThumbnail(post),
+        savedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Saves a post to the library.
+ * @param {object} data - The (validated) post data.
+ * @param {string} [title] - An optional title for the library list.
+ * @returns {Promise<string>} The new post's ID.
+ */
+async function savePostToLibrary(data, title) {
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    const summary = await buildPostSummary(id, data, title);
+    const db = await openLibraryDatabase();
+    const transaction = db.transaction([SUMMARY_STORE, POST_STORE], 'readwrite');
+    transaction.objectStore(SUMMARY_STORE).put(summary);
+    transaction.objectStore(POST_STORE).put(data, id);
+    await transactionDone(transaction);
+    db.close();
+    return id;
+}
+
+/**
+ * Replaces the data of a post already in the library, refreshing its summary but keeping its title.
+ * @param {string} id - The post's ID.
+ * @param {object} data - The new post data.
+ * @returns {Promise<void>} Resolves once saved.
+ */
+async function updateLibraryPost(id, data) {
+    const db = await openLibraryDatabase();
+    const existing = await requestToPromise(db.transaction(SUMMARY_STORE).objectStore(SUMMARY_STORE).get(id));
+    const summary = await buildPostSummary(id, data, existing?.title);
+    const transaction = db.transaction([SUMMARY_STORE, POST_STORE], 'readwrite');
+    transaction.objectStore(SUMMARY_STORE).put(summary);
+    transaction.objectStore(POST_STORE).put(data, id);
+    await transactionDone(transaction);
+    db.close();
+}
+
+/**
+ * Lists the summaries of every post in the library, newest first.
+ * @returns {Promise<Array>} The summary records.
+ */
+async function listLibraryPosts() {
+    const db = await openLibraryDatabase();
+    const summaries = await requestToPromise(db.transaction(SUMMARY_STORE).objectStore(SUMMARY_STORE).getAll());
+    db.close();
+    return summaries.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+/**
+ * Loads a post's data from the library.
+ * @param {string} id - The post's ID.
+ * @returns {Promise<object|undefined>} The post data, or undefined if there is no such post.
+ */
+async function getLibraryPost(id) {
+    const db = await openLibraryDatabase();
+    const data = await requestToPromise(db.transaction(POST_STORE).objectStore(POST_STORE).get(id));
+    db.close();
+    return data;
+}
+
+/**
+ * Changes the title a post is listed under.
+ * @param {string} id - The post's ID.
+ * @param {string} title - The new title.
+ * @returns {Promise<void>} Resolves once saved.
+ */
+async function renameLibraryPost(id, title) {
+    const db = await openLibraryDatabase();
+    const transaction = db.transaction(SUMMARY_STORE, 'readwrite');
+    const store = transaction.objectStore(SUMMARY_STORE);
+    const summary = await requestToPromise(store.get(id));
+    if (summary) store.put({ ...summary, title });
+    await transactionDone(transaction);
+    db.close();
+}
+
+/**
+ * Removes posts from the library.
+ * @param {string[]} ids - The IDs of the posts to delete.
+ * @returns {Promise<void>} Resolves once deleted.
+ */
+async function deleteLibraryPosts(ids) {
+    const db = await openLibraryDatabase();
+    const transaction = db.transaction([SUMMARY_STORE, POST_STORE], 'readwrite');
+    ids.forEach(id => {
+        transaction.objectStore(SUMMARY_STORE).delete(id);
+        transaction.objectStore(POST_STORE).delete(id);
+    });
+    await transactionDone(transaction);
+    db.close();
+}
@@ -0,0 +1,255 @@
+/**
+ * @file library.js
+ * @description Lists the posts saved in the IndexedDB library and handles search, rename,
+ * delete, and bulk import/export.
+ */
+
+// --- CONSTANTS --- //
+const PHOTO_PLACEHOLDER_THUMBNAIL = 'https://placehold.co/160x160/000000/FFFFFF?text=No+Photo';
+
+// --- STATE --- //
+let librarySummaries = [];
+const selectedPostIds = new Set();
+
+// --- DOM REFERENCES --- //
+const libraryList = document.getElementById('library-list');
+const librarySearch = document.getElementById('library-search');
+const libraryStatus = document.getElementById('library-status');
+const importInput = document.getElementById('import-input');
+const exportSelectedButton = document.getElementById('export-selected-btn');
+const deleteSelectedButton = document.getElementById('delete-selected-btn');
+
+// --- FUNCTIONS --- //
+
+/**
+ * Shows a status message above the list.
+ * @param {string} message - The message to show.
+ */
+function setStatus(message) {
+    libraryStatus.textContent = message;
+}
+
+/**
+ * Enables the bulk action buttons only while posts are selected.
+ */
+function updateBulkButtons() {
+    exportSelectedButton.disabled = selectedPostIds.size === 0;
+    deleteSelectedButton.disabled = selectedPostIds.size === 0;
+}
+
+/**
+ * Creates the list item for one saved post.
+ * @param {object} summary - The post's summary record.
+ * @returns {HTMLElement} The list item.
+ */
+function createLibraryItem(summary) {
+    const item = document.createElement('li');
+    item.className = 'library-item';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selectedPostIds.has(summary.id);
+    checkbox.setAttribute('aria-label', `Select ${summary.title}`);
+    checkbox.addEventListener('change', () => {
+        if (checkbox.checked) selectedPostIds.add(summary.id);
+        else selectedPostIds.delete(summary.id);
+        updateBulkButtons();
+    });
+
+    const thumbnail = document.createElement('img');
+    thumbnail.className = 'library-thumbnail';
+    thumbnail.alt = '';
+    thumbnail.src = summary.thumbnail || PHOTO_PLACEHOLDER_THUMBNAIL;
+    thumbnail.onerror = () => { thumbnail.onerror = null; thumbnail.src = PHOTO_PLACEHOLDER_THUMBNAIL; };
+
+    const details = document.createElement('div');
+    details.className = 'library-details';
+    const title = document.createElement('a');
+    title.className = 'library-title';
+    title.href = `viewer.html?post=${encodeURIComponent(summary.id)}`;
+    title.textContent = summary.title;
+    const meta = document.createElement('p');
+    meta.className = 'library-meta';
+    const metaParts = [
+        summary.author,
+        summary.postDate,
+        summary.photoCount > 1 ? `${summary.photoCount} photos` : '',
+        `${summary.commentCount} of ${summary.totalComments} comments`
+    ];
+    meta.textContent = metaParts.filter(Boolean).join(' · ');
+    details.append(title, meta);
+
+    const renameButton = document.createElement('button');
+    renameButton.className = 'toolbar-button';
+    renameButton.textContent = 'Rename';
+    renameButton.addEventListener('click', async () => {
+        const newTitle = prompt('New title for this post:', summary.title);
+        if (!newTitle || !newTitle.trim()) return;
+        try {
+            await renameLibraryPost(summary.id, newTitle.trim());
+            await refreshLibrary();
+        } catch (error) {
+            console.error('Could not rename the post:', error);
+            setStatus('Could not rename the post. Your browser may be blocking storage for this page.');
+        }
+    });
+
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'toolbar-button';
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', async () => {
+        if (!confirm(`Delete "${summary.title}" from the library?`)) return;
+        try {
+            await deleteLibraryPosts([summary.id]);
+            selectedPostIds.delete(summary.id);
+            await refreshLibrary();
+        } catch (error) {
+            console.error('Could not delete the post:', error);
+            setStatus('Could not delete the post. Your browser may be blocking storage for this page.');
+        }
+    });
+
+    item.append(checkbox, thumbnail, details, renameButton, deleteButton);
+    return item;
+}
+
+/**
+ * Renders the posts matching the search box.
+ */
+function renderLibrary() {
+    const query = librarySearch.value.trim().toLowerCase();
+    const matches = librarySummaries.filter(summary =>
+        !query || summary.title.toLowerCase().includes(query) || summary.author.toLowerCase().includes(query));
+
+    libraryList.innerHTML = '';
+    matches.forEach(summary => libraryList.appendChild(createLibraryItem(summary)));
+
+    if (librarySummaries.length === 0) {
+        setStatus('The library is empty. Import a JSON file from the bookmarklet to get started.');
+    } else if (matches.length === 0) {
+        setStatus('No posts match your search.');
+    } else {
+        setStatus(`${matches.length} of ${librarySummaries.length} posts`);
+    }
+}
+
+/**
+ * Reloads the summaries from IndexedDB and re-renders the list.
+ */
+async function refreshLibrary() {
+    librarySummaries = await listLibraryPosts();
+    // Drop selections for posts that no longer exist
+    Array.from(selectedPostIds).forEach(id => {
+        if (!librarySummaries.some(summary => summary.id === id)) selectedPostIds.delete(id);
+    });
+    updateBulkButtons();
+    renderLibrary();
+}
+
+/**
+ * Imports post JSON files. A file may hold a single post or a library export
+ * ({ libraryExport, posts: [...] }). Every post is migrated and validated before it is saved.
+ * @param {FileList} files - The files chosen by the user.
+ */
+async function handleImport(files) {
+    let imported = 0;
+    const problems = [];
+    for (const file of Array.from(files)) {
+        let parsed;
+        try {
+            parsed = JSON.parse(await file.text());
+        } catch (e) {
+            problems.push(`${file.name}: invalid JSON`);
+            continue;
+        }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            problems.push(`${file.name}: not a post or a library export`);
+            continue;
+        }
+        const entries = Array.isArray(parsed.posts) ? parsed.posts : [{ data: parsed }];
+        for (const [i, entry] of entries.entries()) {
+            const label = entries.length > 1 ? `${file.name} (post ${i + 1})` : file.name;
+            if (!entry || typeof entry !== 'object') {
+                problems.push(`${label}: not a post`);
+                continue;
+            }
+            const { data, errors } = preparePostData(entry.data);
+            if (errors.length > 0) {
+                problems.push(`${label}: ${errors.map(formatValidationError).join('; ')}`);
+                continue;
+            }
+            try {
+                await savePostToLibrary(data, entry.title);
+                imported++;
+            } catch (error) {
+                console.error('Could not save an imported post:', error);
+                problems.push(`${label}: could not be saved (${error.message || error})`);
+            }
+        }
+    }
+    try {
+        await refreshLibrary();
+    } catch (error) {
+        console.error('Could not open the library:', error);
+    }
+    setStatus(`Imported ${imported} post(s).` + (problems.length > 0 ? ` Skipped: ${problems.join(' | ')}` : ''));
+}
+
+/**
+ * Downloads the selected posts as one JSON file that can be imported again.
+ */
+async function handleExportSelected() {
+    const posts = [];
+    try {
+        for (const summary of librarySummaries.filter(s => selectedPostIds.has(s.id))) {
+            posts.push({ title: summary.title, data: await getLibraryPost(summary.id) });
+        }
+    } catch (error) {
+        console.error('Could not read the selected posts:', error);
+        setStatus('Could not read the selected posts. Your browser may be blocking storage for this page.');
+        return;
+    }
+    const json = JSON.stringify({ libraryExport: 1, exportedAt: new Date().toISOString(), posts }, null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `facebook-posts-${posts.length}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Deletes every selected post after confirmation.
+ */
+async function handleDeleteSelected() {
+    if (!confirm(`Delete ${selectedPostIds.size} post(s) from the library?`)) return;
+    try {
+        await deleteLibraryPosts(Array.from(selectedPostIds));
+        selectedPostIds.clear();
+        await refreshLibrary();
+    } catch (error) {
+        console.error('Could not delete the selected posts:', error);
+        setStatus('Could not delete the selected posts. Your browser may be blocking storage for this page.');
+    }
+}
+
+/**
+ * Initializes the library page.
+ */
+async function initializeLibrary() {
+    librarySearch.addEventListener('input', renderLibrary);
+    importInput.addEventListener('change', () => {
+        handleImport(importInput.files).finally(() => { importInput.value = ''; });
+    });
+    exportSelectedButton.addEventListener('click', handleExportSelected);
+    deleteSelectedButton.addEventListener('click', handleDeleteSelected);
+    try {
+        await refreshLibrary();
+    } catch (error) {
+        console.error('Could not open the library:', error);
+        setStatus('Could not open the library. Your browser may be blocking storage for this page.');
+    }
+}
+
+// --- INITIALIZATION --- //
+document.addEventListener('DOMContentLoaded', initializeLibrary);
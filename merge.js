@@ -0,0 +1,266 @@
+/**
+ * @file merge.js
+ * @description Merging successive scrapes of the same post into one history, and diffing two
+ * scrapes. Comments are matched by Facebook ID, then by author and text, then (for comments
+ * Facebook marks as edited) by author within the same thread. A merged post keeps comments that
+ * have since been deleted and the earlier text of edited ones.
+ */
+
+// --- CONSTANTS --- //
+// Post-level counts compared between scrapes: [label, function reading the count from a post]
+const DIFF_COUNT_FIELDS = [
+    ['Comments (reported by Facebook)', post => post.totalComments],
+    ['Comments captured', post => countLiveComments(post.comments)],
+    ['Reactions', post => post.totalReactions],
+    ['Shares', post => post.shares],
+    ...REACTION_TYPES.map(type => [`Reactions: ${type}`, post => post.reactions?.[type]])
+];
+
+// --- FUNCTIONS --- //
+
+/**
+ * Lists every comment of a tree with its parent and position, in reading order.
+ * @param {Array} comments - The nested comments array.
+ * @returns {Array} Entries of { comment, parent, position, parentName }.
+ */
+function listCommentEntries(comments) {
+    const entries = [];
+    const walk = (siblings, parent) => {
+        (siblings || []).forEach((comment, position) => {
+            entries.push({ comment, parent, position, parentName: parent ? parent.name : null });
+            walk(comment.replies, comment);
+        });
+    };
+    walk(comments, null);
+    return entries;
+}
+
+/**
+ * Returns the text used to recognise a comment without an ID: its author and its message,
+ * ignoring case and spacing.
+ * @param {object} comment - The comment.
+ * @returns {string} The matching key.
+ */
+function getCommentTextKey(comment) {
+    return `${comment.name}\n${comment.message.replace(/\s+/g, ' ').trim().toLowerCase()}`;
+}
+
+/**
+ * Pairs the comments of a newer scrape with those of an older one.
+ * @param {Array} previousComments - The older comment tree.
+ * @param {Array} currentComments - The newer comment tree.
+ * @returns {object} { matches: Map of newer comment to older comment, unmatched: older entries with no match }.
+ */
+function matchComments(previousComments, currentComments) {
+    const previous = listCommentEntries(previousComments);
+    const current = listCommentEntries(currentComments);
+    const matches = new Map();
+    const matchedPrevious = new Set();
+    const pair = (currentEntry, previousEntry) => {
+        matches.set(currentEntry.comment, previousEntry.comment);
+        matchedPrevious.add(previousEntry);
+    };
+
+    // 1. Facebook's comment ID
+    const byId = new Map(previous.filter(entry => entry.comment.id).map(entry => [entry.comment.id, entry]));
+    current.forEach(entry => {
+        const match = entry.comment.id && byId.get(entry.comment.id);
+        if (match && !matchedPrevious.has(match)) pair(entry, match);
+    });
+
+    // 2. Same author and text; repeated comments ("+1") are paired in order
+    const byText = new Map();
+    previous.filter(entry => !matchedPrevious.has(entry)).forEach(entry => {
+        const key = getCommentTextKey(entry.comment);
+        byText.set(key, [...(byText.get(key) || []), entry]);
+    });
+    current.filter(entry => !matches.has(entry.comment)).forEach(entry => {
+        const candidates = (byText.get(getCommentTextKey(entry.comment)) || []).filter(candidate => !matchedPrevious.has(candidate));
+        if (candidates.length > 0) pair(entry, candidates[0]);
+    });
+
+    // 3. An edited comment without an ID: the same author's unmatched comment in the same thread
+    current.filter(entry => !matches.has(entry.comment) && entry.comment.edited).forEach(entry => {
+        const previousParent = entry.parent ? matches.get(entry.parent) || null : null;
+        if (entry.parent && !previousParent) return;
+        const candidate = previous.find(other => !matchedPrevious.has(other) && other.comment.name === entry.comment.name &&
+            other.parent === previousParent && other.comment.removedIn === undefined);
+        if (candidate) pair(entry, candidate);
+    });
+
+    return { matches, unmatched: previous.filter(entry => !matchedPrevious.has(entry)) };
+}
+
+/**
+ * Compares two scrapes of the same post.
+ * @param {object} previous - The older post data (a plain scrape or a merged history).
+ * @param {object} current - The newer post data.
+ * @returns {object} { added, removed, edited: [{ before, after }], unchanged, counts: [{ label, before, after }] }.
+ * Comments in added and removed carry `parentName` for context.
+ */
+function diffPosts(previous, current) {
+    const { matches, unmatched } = matchComments(previous.comments, current.comments);
+    const withParent = entry => ({ ...entry.comment, parentName: entry.parentName });
+    const added = [];
+    const edited = [];
+    let unchanged = 0;
+
+    listCommentEntries(current.comments).forEach(entry => {
+        const before = matches.get(entry.comment);
+        if (!before) added.push(withParent(entry));
+        else if (getCommentTextKey(before) !== getCommentTextKey(entry.comment)) edited.push({ before, after: entry.comment });
+        else unchanged++;
+    });
+
+    // Comments a merged history already lists as deleted aren't deleted again
+    const removed = unmatched.filter(entry => entry.comment.removedIn === undefined).map(withParent);
+
+    const counts = DIFF_COUNT_FIELDS.map(([label, read]) => ({ label, before: read(previous), after: read(current) }))
+        .filter(count => count.before !== undefined || count.after !== undefined);
+
+    return { added, removed, edited, unchanged, counts };
+}
+
+/**
+ * Summarizes one scrape for a merged post's scrapeHistory.
+ * @param {object} post - The post data as scraped.
+ * @returns {object} { scrapedAt, totalComments, loadedComments, totalReactions, shares, reactions }.
+ */
+function summarizeScrape(post) {
+    return {
+        scrapedAt: post.scrapedAt || null,
+        totalComments: post.totalComments,
+        loadedComments: countLiveComments(post.comments),
+        totalReactions: post.totalReactions,
+        shares: post.shares,
+        reactions: post.reactions
+    };
+}
+
+/**
+ * Merges a newer scrape into an older one (or into a history built by earlier merges).
+ * The result is the newer scrape, plus:
+ * - scrapeHistory: a summary of every scrape, oldest first;
+ * - on each comment, firstSeenIn (the scrapeHistory index it first appeared in), and for
+ *   comments edited since, previousMessages (earlier texts, oldest first);
+ * - deleted comments, kept where they were with removedIn (the first scrape they were missing from).
+ * Curation edits keyed by comment ID are kept; position-keyed ones no longer line up and are dropped.
+ * @param {object} previous - The older post data.
+ * @param {object} current - The newer post data.
+ * @returns {object} The merged post.
+ */
+function mergePostHistory(previous, current) {
+    const history = Array.isArray(previous.scrapeHistory) && previous.scrapeHistory.length > 0
+        ? [...previous.scrapeHistory]
+        : [summarizeScrape(previous)];
+    const scrapeIndex = history.push(summarizeScrape(current)) - 1;
+    const { matches, unmatched } = matchComments(previous.comments, current.comments);
+    const mergedByPrevious = new Map();
+
+    const mergeThread = (comments) => comments.map(comment => {
+        const before = matches.get(comment);
+        const merged = { ...comment, firstSeenIn: before ? (before.firstSeenIn ?? 0) : scrapeIndex };
+        if (before) {
+            const previousMessages = [...(before.previousMessages || [])];
+            if (getCommentTextKey(before) !== getCommentTextKey(comment)) previousMessages.push(before.message);
+            if (previousMessages.length > 0) merged.previousMessages = previousMessages;
+            mergedByPrevious.set(before, merged);
+        }
+        if (comment.replies) merged.replies = mergeThread(comment.replies);
+        return merged;
+    });
+    const comments = mergeThread(current.comments);
+
+    // Put deleted comments back where they were; replies of a deleted comment stay under it
+    const markRemoved = comment => ({
+        ...comment,
+        firstSeenIn: comment.firstSeenIn ?? 0,
+        removedIn: comment.removedIn ?? scrapeIndex,
+        ...(comment.replies ? { replies: comment.replies.map(markRemoved) } : {})
+    });
+    unmatched.filter(entry => !entry.parent || mergedByPrevious.has(entry.parent)).forEach(entry => {
+        const parent = entry.parent ? mergedByPrevious.get(entry.parent) : null;
+        const siblings = parent ? (parent.replies = parent.replies || []) : comments;
+        siblings.splice(Math.min(entry.position, siblings.length), 0, markRemoved(entry.comment));
+    });
+
+    const merged = {
+        ...current,
+        avatars: { ...previous.avatars, ...current.avatars },
+        comments,
+        scrapeHistory: history
+    };
+    if (previous.curation) {
+        const curation = normalizeCuration(previous.curation);
+        const isIdKey = key => key.startsWith('id:');
+        const order = {};
+        Object.entries(curation.order).filter(([parentKey]) => isIdKey(parentKey) || parentKey === ROOT_THREAD_KEY)
+            .forEach(([parentKey, keys]) => { order[parentKey] = keys.filter(isIdKey); });
+        merged.curation = {
+            hidden: curation.hidden.filter(isIdKey),
+            pinned: curation.pinned.filter(isIdKey),
+            order,
+            notes: Object.fromEntries(Object.entries(curation.notes).filter(([key]) => isIdKey(key)))
+        };
+    }
+    return merged;
+}
+
+/**
+ * Pairs the photos of two album bundles by their Facebook photo URL, falling back to their position.
+ * @param {object} previous - The older album bundle.
+ * @param {object} current - The newer album bundle.
+ * @returns {Array} For each photo of the newer album, [olderPhoto or null, newerPhoto].
+ */
+function pairAlbumPhotos(previous, current) {
+    const used = new Set();
+    return current.photos.map((photo, index) => {
+        let match = photo.photoUrl ? previous.photos.find(other => other.photoUrl === photo.photoUrl && !used.has(other)) : null;
+        if (!match && previous.photos[index] && !used.has(previous.photos[index]) && !previous.photos[index].photoUrl) {
+            match = previous.photos[index];
+        }
+        if (match) used.add(match);
+        return [match || null, photo];
+    });
+}
+
+/**
+ * Merges two scrapes of a post or of an album. Album photos are merged one by one; photos that
+ * are only in the newer album are added, and photos missing from it are kept.
+ * @param {object} previous - The older post data or album bundle.
+ * @param {object} current - The newer post data or album bundle.
+ * @returns {object} The merged post or album.
+ * @throws {Error} If one is an album and the other a single post.
+ */
+function mergeScrapes(previous, current) {
+    if (isAlbumBundle(previous) !== isAlbumBundle(current)) {
+        throw new Error('Both scrapes must be of the same kind: two single posts, or two albums.');
+    }
+    if (!isAlbumBundle(current)) return mergePostHistory(previous, current);
+
+    const pairs = pairAlbumPhotos(previous, current);
+    const matchedPrevious = new Set(pairs.map(([before]) => before).filter(Boolean));
+    const photos = pairs.map(([before, photo]) => (before ? mergePostHistory(before, photo) : photo));
+    previous.photos.filter(photo => !matchedPrevious.has(photo)).forEach(photo => photos.push(photo));
+    return { ...current, photos };
+}
+
+/**
+ * Returns the scrapeHistory index of the latest scrape in a merged post.
+ * @param {object} post - The post data.
+ * @returns {number} The index, or 0 for a post that was never merged.
+ */
+function getLatestScrapeIndex(post) {
+    return Array.isArray(post.scrapeHistory) && post.scrapeHistory.length > 0 ? post.scrapeHistory.length - 1 : 0;
+}
+
+/**
+ * Checks whether a comment first appeared in the latest scrape of a merged post.
+ * @param {object} comment - The comment.
+ * @param {object} post - The merged post it belongs to.
+ * @returns {boolean} True for a comment that is new since the scrape before.
+ */
+function isNewSinceLastScrape(comment, post) {
+    const latest = getLatestScrapeIndex(post);
+    return latest > 0 && comment.firstSeenIn === latest;
+}
@@ -0,0 +1,177 @@
+/**
+ * @file overlay.js
+ * @description The broadcast overlay page (overlay.html): a transparent page for streaming
+ * software that shows the comment bubbles sent by a viewer over a BroadcastChannel. Stepping
+ * through comments in the viewer updates the overlay live. Position, size and animations are
+ * set with URL parameters.
+ */
+
+// --- CONSTANTS --- //
+// Must match OVERLAY_CHANNEL_PREFIX in script.js
+const OVERLAY_CHANNEL_PREFIX = 'fbpcv-overlay';
+
+// The viewer sends at most this many of its latest comments
+const OVERLAY_MAX_BUBBLES = 5;
+
+// Settings, each of which can be overridden with a URL parameter of the same name
+const OVERLAY_DEFAULTS = {
+    position: 'bottom-center', // [top|middle|bottom]-[left|center|right], or center
+    width: 900,                // Maximum bubble width, in pixels
+    scale: 1,                  // Size of the text and avatar, relative to the viewer's overlay
+    margin: 48,                // Distance from the edges of the page, in pixels
+    count: 1,                  // How many of the latest comments to show at once
+    enter: 'slide-up',         // Animation for a new bubble (a key of OVERLAY_ANIMATIONS)
+    exit: 'fade',              // Animation for a bubble leaving (played in reverse)
+    duration: 400,             // Length of each animation, in milliseconds
+    channel: 'default'         // Pairs the overlay with a viewer opened with the same ?channel=
+};
+
+// Keyframes for the enter animations; exits play them backwards
+const OVERLAY_ANIMATIONS = {
+    none: null,
+    fade: [{ opacity: 0 }, { opacity: 1 }],
+    'slide-up': [{ opacity: 0, transform: 'translateY(2rem)' }, { opacity: 1, transform: 'none' }],
+    'slide-down': [{ opacity: 0, transform: 'translateY(-2rem)' }, { opacity: 1, transform: 'none' }],
+    'slide-left': [{ opacity: 0, transform: 'translateX(2rem)' }, { opacity: 1, transform: 'none' }],
+    'slide-right': [{ opacity: 0, transform: 'translateX(-2rem)' }, { opacity: 1, transform: 'none' }],
+    zoom: [{ opacity: 0, transform: 'scale(0.6)' }, { opacity: 1, transform: 'none' }]
+};
+
+// Flexbox alignment for each part of the position setting
+const OVERLAY_VERTICAL_ALIGN = { top: 'flex-start', middle: 'center', bottom: 'flex-end' };
+const OVERLAY_HORIZONTAL_ALIGN = { left: 'flex-start', center: 'center', right: 'flex-end' };
+
+// --- STATE --- //
+let overlaySettings = { ...OVERLAY_DEFAULTS };
+
+// --- DOM REFERENCES --- //
+const overlayContainer = document.getElementById('broadcast-overlay');
+
+// --- FUNCTIONS --- //
+
+/**
+ * Reads the settings from the page's URL parameters. Values that aren't valid keep their default.
+ * @returns {object} The settings, shaped like OVERLAY_DEFAULTS.
+ */
+function readOverlaySettings() {
+    const params = new URLSearchParams(location.search);
+    const settings = { ...OVERLAY_DEFAULTS };
+    const readNumber = (name, min, max) => {
+        const value = Number(params.get(name));
+        if (params.has(name) && Number.isFinite(value) && value >= min) settings[name] = Math.min(value, max);
+    };
+    readNumber('width', 100, Infinity);
+    readNumber('scale', 0.25, 10);
+    readNumber('margin', 0, Infinity);
+    readNumber('count', 1, OVERLAY_MAX_BUBBLES);
+    readNumber('duration', 0, 10000);
+    settings.count = Math.floor(settings.count);
+
+    const [vertical, horizontal] = params.get('position') === 'center' ? ['middle', 'center'] : (params.get('position') || '').split('-');
+    if (vertical in OVERLAY_VERTICAL_ALIGN && horizontal in OVERLAY_HORIZONTAL_ALIGN) settings.position = `${vertical}-${horizontal}`;
+    ['enter', 'exit'].forEach(name => {
+        if (params.get(name) in OVERLAY_ANIMATIONS) settings[name] = params.get(name);
+    });
+    if (params.get('channel')) settings.channel = params.get('channel');
+    return settings;
+}
+
+/**
+ * Places the bubble area on the page and sizes the bubbles according to the settings.
+ */
+function applyOverlayLayout() {
+    const [vertical, horizontal] = overlaySettings.position.split('-');
+    overlayContainer.style.justifyContent = OVERLAY_VERTICAL_ALIGN[vertical];
+    overlayContainer.style.alignItems = OVERLAY_HORIZONTAL_ALIGN[horizontal];
+    overlayContainer.style.padding = `${overlaySettings.margin}px`;
+    overlayContainer.style.setProperty('--broadcast-bubble-width', `${overlaySettings.width}px`);
+    // Every size in the bubble is in rem, so scaling the root font size scales the whole bubble
+    document.documentElement.style.fontSize = `${16 * overlaySettings.scale}px`;
+}
+
+/**
+ * Plays an enter or exit animation on a bubble.
+ * @param {HTMLElement} bubble - The bubble.
+ * @param {string} name - A key of OVERLAY_ANIMATIONS.
+ * @param {boolean} reverse - True to play it backwards, for an exit.
+ * @returns {Promise<void>} Resolves when the animation has finished.
+ */
+function animateBubble(bubble, name, reverse) {
+    const keyframes = OVERLAY_ANIMATIONS[name];
+    if (!keyframes || overlaySettings.duration === 0) return Promise.resolve();
+    const animation = bubble.animate(reverse ? [...keyframes].reverse() : keyframes, {
+        duration: overlaySettings.duration,
+        easing: reverse ? 'ease-in' : 'ease-out',
+        fill: 'forwards'
+    });
+    return animation.finished.catch(() => {}); // Cancelled animations don't matter
+}
+
+/**
+ * Creates a bubble from the HTML the viewer sent. The viewer builds it with
+ * createOverlayCommentElement, so scraped text in it is already escaped.
+ * @param {object} entry - { id, html } as sent by the viewer.
+ * @returns {HTMLElement} The bubble element.
+ */
+function createBubble(entry) {
+    const template = document.createElement('template');
+    template.innerHTML = entry.html;
+    const bubble = template.content.firstElementChild;
+    bubble.dataset.bubbleId = entry.id;
+    return bubble;
+}
+
+/**
+ * Shows the latest comments sent by the viewer: bubbles no longer among them leave, new ones
+ * enter, and bubbles still on screen stay where they are.
+ * @param {Array} entries - { id, html } for each comment, oldest first.
+ */
+function showBubbles(entries) {
+    const wanted = entries.slice(-overlaySettings.count);
+    const wantedIds = new Set(wanted.map(entry => entry.id));
+    const shown = new Map();
+
+    Array.from(overlayContainer.children).forEach(bubble => {
+        if (bubble.dataset.leaving) return;
+        if (wantedIds.has(bubble.dataset.bubbleId)) {
+            shown.set(bubble.dataset.bubbleId, bubble);
+            return;
+        }
+        bubble.dataset.leaving = 'true';
+        animateBubble(bubble, overlaySettings.exit, true).then(() => bubble.remove());
+    });
+
+    let previous = null;
+    wanted.forEach(entry => {
+        let bubble = shown.get(entry.id);
+        if (!bubble) {
+            bubble = createBubble(entry);
+            if (previous) previous.after(bubble);
+            else overlayContainer.prepend(bubble);
+            animateBubble(bubble, overlaySettings.enter, false);
+        }
+        previous = bubble;
+    });
+}
+
+/**
+ * Handles a message from the viewer.
+ * @param {MessageEvent} event - The message; its data is { type: 'comments', bubbles: [{ id, html }] }.
+ */
+function handleOverlayMessage(event) {
+    if (event.data?.type === 'comments' && Array.isArray(event.data.bubbles)) showBubbles(event.data.bubbles);
+}
+
+/**
+ * Initializes the overlay page and asks the viewer for the comments it is showing.
+ */
+function initializeOverlay() {
+    overlaySettings = readOverlaySettings();
+    applyOverlayLayout();
+    const channel = new BroadcastChannel(`${OVERLAY_CHANNEL_PREFIX}:${overlaySettings.channel}`);
+    channel.addEventListener('message', handleOverlayMessage);
+    channel.postMessage({ type: 'hello' });
+}
+
+// --- INITIALIZATION --- //
+document.addEventListener('DOMContentLoaded', initializeOverlay);
@@ -0,0 +1,358 @@
+/**
+ * @file schema.js
+ * @description Versioning, validation and migration of the post JSON produced by the bookmarklet.
+ * Shared by the landing page and the viewer. The bookmarklet writes either a single post or an
+ * album bundle ({ type: 'album', photos: [post, ...] }) whose photos are each a full post.
+ */
+
+// --- CONSTANTS --- //
+// The schema version written by the current bookmarklet. Exports from the v7.x bookmarklet
+// have no schemaVersion field and are treated as version 1.
+const CURRENT_SCHEMA_VERSION = 2;
+
+// The bookmarklet writes placeholder strings such as "DATE_NOT_FOUND" or
+// "PHOTO_URL_NOT_FOUND_NO_MAIN_DIV" when it can't find a field.
+const SENTINEL_PATTERN = /^[A-Z_]*NOT_FOUND[A-Z_]*$/;
+
+const DEFAULT_FALLBACK_AVATAR = 'https://placehold.co/32x32/FFFFFF/000000?text=A';
+
+const ATTACHMENT_TYPES = ['photo', 'gif', 'sticker'];
+
+// Reaction types the bookmarklet counts, in the order Facebook lists them
+const REACTION_TYPES = ['like', 'love', 'care', 'haha', 'wow', 'sad', 'angry'];
+
+// --- FUNCTIONS --- //
+
+/**
+ * Checks whether a scraped value is absent: null, undefined, an empty string,
+ * or one of the bookmarklet's "..._NOT_FOUND" placeholder strings.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value should be treated as missing.
+ */
+function isMissingValue(value) {
+    if (value === null || value === undefined) return true;
+    if (typeof value !== 'string') return false;
+    const trimmed = value.trim();
+    return trimmed === '' || SENTINEL_PATTERN.test(trimmed);
+}
+
+/**
+ * Fills in the objects the viewer relies on (likes, avatars, comments) and coerces counts
+ * to numbers, keeping every other field as it is.
+ * @param {object} data - The post data.
+ * @returns {object} A copy of the data with the required structure in place.
+ */
+function applyStructuralDefaults(data) {
+    data = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    const likes = data.likes && typeof data.likes === 'object' ? data.likes : {};
+    const upgradeComments = (comments) => (Array.isArray(comments) ? comments : []).filter(comment => comment && typeof comment === 'object').map(comment => {
+        const upgraded = { ...comment, message: typeof comment.message === 'string' ? comment.message : '' };
+        if (comment.replies) upgraded.replies = upgradeComments(comment.replies);
+        return upgraded;
+    });
+    return {
+        ...data,
+        likes: {
+            firstLiker: typeof likes.firstLiker === 'string' ? likes.firstLiker : '',
+            otherCount: parseInt(likes.otherCount, 10) || 0
+        },
+        totalComments: parseInt(data.totalComments, 10) || 0,
+        avatars: { fallback: DEFAULT_FALLBACK_AVATAR, ...(data.avatars && typeof data.avatars === 'object' ? data.avatars : {}) },
+        comments: upgradeComments(data.comments)
+    };
+}
+
+/**
+ * Migrations keyed by the version they upgrade from. Each one receives data at that
+ * version and returns data at the next version.
+ */
+const MIGRATIONS = {
+    // v7.x exports (version 1) to version 2: same fields, but the structure is now guaranteed
+    1: (data) => ({ ...applyStructuralDefaults(data), schemaVersion: 2 })
+};
+
+/**
+ * Upgrades post data from any older schema version to CURRENT_SCHEMA_VERSION.
+ * Data that is already current (or newer) is returned unchanged.
+ * @param {object} data - The parsed post data.
+ * @returns {object} The migrated post data.
+ */
+function migratePostData(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return data;
+    let migrated = data;
+    let version = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 1;
+    while (version < CURRENT_SCHEMA_VERSION && MIGRATIONS[version]) {
+        migrated = MIGRATIONS[version](migrated);
+        version = migrated.schemaVersion;
+    }
+    return migrated;
+}
+
+/**
+ * Reads an ISO-8601 timestamp written by the bookmarklet (scrapedAt, postTimestamp, a comment's timestamp).
+ * @param {*} value - The stored value.
+ * @returns {Date|null} The date, or null if the value is missing or not a valid timestamp.
+ */
+function parseTimestamp(value) {
+    if (typeof value !== 'string' || value === '') return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validates a single comment and its replies, appending any problems to the errors list.
+ * @param {object} comment - The comment to validate.
+ * @param {string} path - The comment's location in the data, e.g. "comments[2].replies[0]".
+ * @param {Array} errors - The list of { path, message } errors to add to.
+ */
+function validateComment(comment, path, errors) {
+    const addError = (field, message) => errors.push({ path: field ? `${path}.${field}` : path, message });
+
+    if (!comment || typeof comment !== 'object' || Array.isArray(comment)) {
+        addError('', 'must be an object');
+        return;
+    }
+    if (typeof comment.name !== 'string' || comment.name.trim() === '') addError('name', 'must be a non-empty string');
+    if (typeof comment.message !== 'string') addError('message', 'must be a string');
+    ['reactionCount', 'firstSeenIn', 'removedIn'].forEach(field => {
+        if (comment[field] !== undefined && !(Number.isInteger(comment[field]) && comment[field] >= 0)) {
+            addError(field, 'must be a non-negative integer');
+        }
+    });
+    if (comment.previousMessages !== undefined &&
+        !(Array.isArray(comment.previousMessages) && comment.previousMessages.every(message => typeof message === 'string'))) {
+        addError('previousMessages', 'must be an array of strings');
+    }
+    ['edited', 'hasTranslation'].forEach(field => {
+        if (comment[field] !== undefined && typeof comment[field] !== 'boolean') addError(field, 'must be true or false');
+    });
+    ['id', 'permalink', 'profileUrl'].forEach(field => {
+        if (comment[field] !== undefined && comment[field] !== null && typeof comment[field] !== 'string') {
+            addError(field, 'must be a string or null');
+        }
+    });
+    if (comment.time !== undefined && comment.time !== null && typeof comment.time !== 'object') {
+        addError('time', 'must be an object or null');
+    }
+    if (comment.timestamp !== undefined && comment.timestamp !== null && !parseTimestamp(comment.timestamp)) {
+        addError('timestamp', 'must be an ISO-8601 date string or null');
+    }
+    if (comment.attachments !== undefined) {
+        if (!Array.isArray(comment.attachments)) {
+            addError('attachments', 'must be an array');
+        } else {
+            comment.attachments.forEach((attachment, i) => {
+                if (!attachment || !ATTACHMENT_TYPES.includes(attachment.type)) {
+                    addError(`attachments[${i}].type`, `must be one of ${ATTACHMENT_TYPES.join(', ')}`);
+                }
+                // Anonymized exports remove the URL
+                if (!attachment || (typeof attachment.url !== 'string' && attachment.url !== null)) {
+                    addError(`attachments[${i}].url`, 'must be a string or null');
+                }
+            });
+        }
+    }
+    if (comment.mentions !== undefined) {
+        if (!Array.isArray(comment.mentions)) {
+            addError('mentions', 'must be an array');
+        } else {
+            comment.mentions.forEach((mention, i) => {
+                if (!mention || typeof mention.name !== 'string') addError(`mentions[${i}].name`, 'must be a string');
+            });
+        }
+    }
+    if (comment.replies !== undefined) {
+        if (!Array.isArray(comment.replies)) {
+            addError('replies', 'must be an array');
+        } else {
+            comment.replies.forEach((reply, i) => validateComment(reply, `${path}.replies[${i}]`, errors));
+        }
+    }
+}
+
+/**
+ * Validates post data against the current schema. Missing or placeholder values are allowed
+ * where the viewer can cope with them; wrong types and missing structure are reported.
+ * @param {object} data - The (already migrated) post data.
+ * @returns {Array} A list of { path, message } errors; empty if the data is valid.
+ */
+function validatePostData(data) {
+    const errors = [];
+    const addError = (path, message) => errors.push({ path, message });
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        addError('(root)', 'must be a JSON object');
+        return errors;
+    }
+
+    if (!Number.isInteger(data.schemaVersion)) {
+        addError('schemaVersion', 'must be an integer');
+    } else if (data.schemaVersion > CURRENT_SCHEMA_VERSION) {
+        addError('schemaVersion', `is ${data.schemaVersion}, but this viewer only understands up to version ${CURRENT_SCHEMA_VERSION}`);
+    }
+
+    ['photoUrl', 'mainPhotoUrl', 'postAuthor', 'postDate', 'postLocation'].forEach(field => {
+        if (data[field] !== undefined && data[field] !== null && typeof data[field] !== 'string') {
+            addError(field, 'must be a string');
+        }
+    });
+
+    ['scrapedAt', 'postTimestamp'].forEach(field => {
+        if (data[field] !== undefined && data[field] !== null && !parseTimestamp(data[field])) {
+            addError(field, 'must be an ISO-8601 date string or null');
+        }
+    });
+
+    if (!data.likes || typeof data.likes !== 'object') {
+        addError('likes', 'must be an object');
+    } else {
+        if (typeof data.likes.firstLiker !== 'string') addError('likes.firstLiker', 'must be a string');
+        if (!Number.isInteger(data.likes.otherCount) || data.likes.otherCount < 0) addError('likes.otherCount', 'must be a non-negative integer');
+    }
+
+    if (!Number.isInteger(data.totalComments) || data.totalComments < 0) {
+        addError('totalComments', 'must be a non-negative integer');
+    }
+    ['totalReactions', 'shares'].forEach(field => {
+        if (data[field] !== undefined && !(Number.isInteger(data[field]) && data[field] >= 0)) {
+            addError(field, 'must be a non-negative integer');
+        }
+    });
+    if (data.reactions !== undefined) {
+        if (!data.reactions || typeof data.reactions !== 'object' || Array.isArray(data.reactions)) {
+            addError('reactions', 'must be an object mapping reaction types to counts');
+        } else {
+            Object.entries(data.reactions).forEach(([type, count]) => {
+                if (!REACTION_TYPES.includes(type)) addError(`reactions.${type}`, `is not one of ${REACTION_TYPES.join(', ')}`);
+                else if (!(Number.isInteger(count) && count >= 0)) addError(`reactions.${type}`, 'must be a non-negative integer');
+            });
+        }
+    }
+
+    if (data.scrapeHistory !== undefined) {
+        if (!Array.isArray(data.scrapeHistory)) {
+            addError('scrapeHistory', 'must be an array');
+        } else {
+            data.scrapeHistory.forEach((scrape, i) => {
+                if (!scrape || typeof scrape !== 'object' || Array.isArray(scrape)) addError(`scrapeHistory[${i}]`, 'must be an object');
+                else if (scrape.scrapedAt !== null && scrape.scrapedAt !== undefined && !parseTimestamp(scrape.scrapedAt)) {
+                    addError(`scrapeHistory[${i}].scrapedAt`, 'must be an ISO-8601 date string or null');
+                }
+            });
+        }
+    }
+
+    if (data.anonymization !== undefined) {
+        const anonymization = data.anonymization;
+        if (!anonymization || typeof anonymization !== 'object' || Array.isArray(anonymization)) {
+            addError('anonymization', 'must be an object');
+        } else if (!Array.isArray(anonymization.transformations) || !anonymization.transformations.every(step => typeof step === 'string')) {
+            addError('anonymization.transformations', 'must be an array of strings');
+        }
+    }
+
+    if (!data.avatars || typeof data.avatars !== 'object' || Array.isArray(data.avatars)) {
+        addError('avatars', 'must be an object mapping names to image URLs');
+    } else {
+        Object.entries(data.avatars).forEach(([name, url]) => {
+            if (typeof url !== 'string') addError(`avatars["${name}"]`, 'must be a string');
+        });
+    }
+
+    if (data.embeddedImages !== undefined) {
+        const embedded = data.embeddedImages;
+        const isDataUri = value => typeof value === 'string' && value.startsWith('data:image/');
+        if (!embedded || typeof embedded !== 'object') {
+            addError('embeddedImages', 'must be an object');
+        } else {
+            if (embedded.mainPhoto !== null && embedded.mainPhoto !== undefined && !isDataUri(embedded.mainPhoto)) {
+                addError('embeddedImages.mainPhoto', 'must be an image data URI or null');
+            }
+            Object.entries(embedded.avatars || {}).forEach(([name, uri]) => {
+                if (!isDataUri(uri)) addError(`embeddedImages.avatars["${name}"]`, 'must be an image data URI');
+            });
+        }
+    }
+
+    if (data.photoTags !== undefined) {
+        if (!Array.isArray(data.photoTags)) {
+            addError('photoTags', 'must be an array');
+        } else {
+            data.photoTags.forEach((tag, i) => {
+                if (!tag || typeof tag.name !== 'string') addError(`photoTags[${i}].name`, 'must be a string');
+                ['x', 'y'].forEach(axis => {
+                    if (!tag || typeof tag[axis] !== 'number' || tag[axis] < 0 || tag[axis] > 1) {
+                        addError(`photoTags[${i}].${axis}`, 'must be a number between 0 and 1');
+                    }
+                });
+            });
+        }
+    }
+
+    if (data.curation !== undefined) {
+        const curation = data.curation;
+        const isKeyList = list => Array.isArray(list) && list.every(key => typeof key === 'string');
+        if (!curation || typeof curation !== 'object' || Array.isArray(curation)) {
+            addError('curation', 'must be an object');
+        } else {
+            ['hidden', 'pinned'].forEach(field => {
+                if (curation[field] !== undefined && !isKeyList(curation[field])) addError(`curation.${field}`, 'must be an array of comment keys');
+            });
+            if (curation.order !== undefined && (!curation.order || typeof curation.order !== 'object' || !Object.values(curation.order).every(isKeyList))) {
+                addError('curation.order', 'must map thread keys to arrays of comment keys');
+            }
+            if (curation.notes !== undefined && (!curation.notes || typeof curation.notes !== 'object' || !Object.values(curation.notes).every(note => typeof note === 'string'))) {
+                addError('curation.notes', 'must map comment keys to strings');
+            }
+        }
+    }
+
+    if (!Array.isArray(data.comments)) {
+        addError('comments', 'must be an array');
+    } else {
+        data.comments.forEach((comment, i) => validateComment(comment, `comments[${i}]`, errors));
+    }
+
+    return errors;
+}
+
+/**
+ * Checks whether parsed data is an album bundle rather than a single post.
+ * @param {*} data - The parsed JSON.
+ * @returns {boolean} True for an album bundle.
+ */
+function isAlbumBundle(data) {
+    return Boolean(data) && typeof data === 'object' && data.type === 'album';
+}
+
+/**
+ * Migrates and validates parsed post data in one step. Each photo of an album bundle is
+ * migrated and validated as a post of its own, with errors reported as "photos[2]...".
+ * @param {object} rawData - The parsed JSON as pasted or loaded.
+ * @returns {object} { data, errors } with the migrated data and any validation errors.
+ */
+function preparePostData(rawData) {
+    if (isAlbumBundle(rawData)) {
+        if (!Array.isArray(rawData.photos) || rawData.photos.length === 0) {
+            return { data: rawData, errors: [{ path: 'photos', message: 'must be a non-empty array of posts' }] };
+        }
+        const errors = [];
+        const photos = rawData.photos.map((photo, i) => {
+            const prepared = preparePostData(photo);
+            prepared.errors.forEach(error => errors.push({ ...error, path: `photos[${i}].${error.path}` }));
+            return prepared.data;
+        });
+        return { data: { ...rawData, photos }, errors };
+    }
+    const data = migratePostData(rawData);
+    return { data, errors: validatePostData(data) };
+}
+
+/**
+ * Formats a validation error for display.
+ * @param {object} error - A { path, message } error.
+ * @returns {string} E.g. "comments[3].name must be a non-empty string".
+ */
+function formatValidationError(error) {
+    return `${error.path} ${error.message}`;
+}
@@ -3,10 +3,74 @@
  * @description Handles all the interactive logic for the Facebook photo page, including nested comments.
  */
 
+// --- CONSTANTS --- //
+// Pages allowed to hand post data to the viewer with postMessage (the bookmarklet runs on Facebook)
+const HANDOFF_ALLOWED_ORIGINS = [
+    'https://www.facebook.com',
+    'https://web.facebook.com',
+    'https://m.facebook.com',
+    'https://facebook.com'
+];
+const HANDOFF_TIMEOUT_MS = 30000;
+
+const PHOTO_PLACEHOLDER_URL = 'https://placehold.co/1200x800/000000/FFFFFF?text=Image+Not+Found';
+
+// Autoplay timing. With reading time on, each comment stays up for a base time plus time
+// per character (about 200 words per minute), within the min/max bounds.
+const AUTOPLAY_DELAY_MS = 4000;
+const READING_TIME = { baseMs: 1500, perCharacterMs: 60, minMs: 2000, maxMs: 15000 };
+
+// URLs, #hashtags, @handles and emoji in comment text. Mentions of tagged people
+// (which Facebook shows as plain names) are matched separately from the comment's `mentions`.
+const RICH_TEXT_PATTERN = /(?<url>\bhttps?:\/\/[^\s<>"]+|\bwww\.[^\s<>"]+)|(?<hashtag>(?<![\p{L}\p{N}_&])#[\p{L}\p{N}_]+)|(?<handle>(?<![\p{L}\p{N}_])@[\p{L}\p{N}_.]*[\p{L}\p{N}_])|(?<emoji>\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier}|\u200D\p{Extended_Pictographic})*)/gu;
+// Punctuation that ends a sentence rather than a URL, e.g. "see https://example.com."
+const URL_TRAILING_PUNCTUATION = /[.,!?;:)\]'"]+$/;
+const HASHTAG_BASE_URL = 'https://www.facebook.com/hashtag/';
+
+const SEARCH_RESULT_LIMIT = 100;
+// Characters of context shown either side of a search match
+const SEARCH_SNIPPET_CONTEXT = 40;
+// The URL hash holding the playback position, e.g. "#c=42" for the first 42 comments revealed,
+// or "#p=3&c=42" for the same on the third photo of an album
+const POSITION_HASH_PATTERN = /^#(?:p=(\d+))?&?(?:c=(\d+))?$/;
+
+const ZOOM = { min: 1, max: 5, buttonStep: 1.5, wheelSensitivity: 0.002 };
+// Pointer movement (in pixels) after which a press counts as a drag rather than a click
+const DRAG_THRESHOLD_PX = 5;
+// Icon and name shown for each reaction type in the post stats
+const REACTION_ICONS = {
+    like: { icon: '👍', label: 'Like' },
+    love: { icon: '❤️', label: 'Love' },
+    care: { icon: '🥰', label: 'Care' },
+    haha: { icon: '😆', label: 'Haha' },
+    wow: { icon: '😮', label: 'Wow' },
+    sad: { icon: '😢', label: 'Sad' },
+    angry: { icon: '😠', label: 'Angry' }
+};
+// Units for "x ago" labels, largest first, with their length in milliseconds
+const RELATIVE_TIME_UNITS = [['year', 31536000000], ['month', 2592000000], ['week', 604800000], ['day', 86400000], ['hour', 3600000], ['minute', 60000], ['second', 1000]];
+// The BroadcastChannel the broadcast overlay (overlay.html) listens on; must match overlay.js
+const OVERLAY_CHANNEL_PREFIX = 'fbpcv-overlay';
+// How many of the latest comments are sent to the broadcast overlay, which shows up to this many at once
+const OVERLAY_MAX_BUBBLES = 5;
+
 // --- STATE --- //
 let postData = {};
+let albumData = null; // The album bundle when the post has several photos; postData is then its current photo
+let currentPhotoIndex = 0;
+const photoPlaybackStates = new Map(); // Playback state of each album photo that was left, by photo index
 let flatCommentList = []; // A flattened list of all comments and replies
 let currentCommentIndex = 0;
+let autoplayTimer = null; // Set while autoplay is running
+const collapsedThreads = new Set(); // Indexes (in flatCommentList) of comments whose replies are collapsed
+const skippedComments = new Set(); // Indexes of replies passed over by the "Skip replies" step mode
+let curation = normalizeCuration(); // Hide/pin/order/notes overlay on top of postData.comments
+let editMode = false; // In edit mode every comment (including hidden ones) is listed with curation controls
+let draggedCommentKey = null; // The key of the comment being dragged to a new place in its thread
+let zoomState = { scale: 1, x: 0, y: 0 }; // Transform applied to #photo-stage
+const activePointers = new Map(); // Pointers currently pressed on the photo, for panning and pinching
+let gestureMoved = false; // Set when the current press turned into a pan or pinch
+let overlayChannel = null; // BroadcastChannel to the broadcast overlay, once set up
 
 // --- DOM REFERENCES --- //
 const mainPhoto = document.getElementById('main-photo');
@@ -15,19 +79,162 @@ const authorName = document.getElementById('author-name');
 const postMeta = document.getElementById('post-meta');
 const likeDetails = document.getElementById('like-details');
 const totalCommentsText = document.getElementById('total-comments-text');
+const reactionBreakdown = document.getElementById('reaction-breakdown');
+const shareCountText = document.getElementById('share-count-text');
 const userAvatar = document.getElementById('user-avatar');
 const commentsContainer = document.getElementById('comments-container');
 const commentCounterSpan = document.getElementById('comment-counter');
 const imageSection = document.getElementById('image-section');
 const overlayCommentsContainer = document.getElementById('overlay-comments-container');
+const exportHtmlButton = document.getElementById('export-html-btn');
+const autoplayButton = document.getElementById('autoplay-btn');
+const autoplaySpeedSelect = document.getElementById('autoplay-speed');
+const readingTimeToggle = document.getElementById('reading-time-toggle');
+const seekSlider = document.getElementById('seek-slider');
+const seekPosition = document.getElementById('seek-position');
+const playbackProgressFill = document.getElementById('playback-progress-fill');
+const photoStage = document.getElementById('photo-stage');
+const photoTagsLayer = document.getElementById('photo-tags-layer');
+const zoomInButton = document.getElementById('zoom-in-btn');
+const zoomOutButton = document.getElementById('zoom-out-btn');
+const tagPhotoButton = document.getElementById('tag-photo-btn');
+const fullscreenButton = document.getElementById('fullscreen-btn');
+const threadedViewToggle = document.getElementById('threaded-view-toggle');
+const stepModeSelect = document.getElementById('step-mode');
+const commentSearchInput = document.getElementById('comment-search');
+const authorFilterSelect = document.getElementById('author-filter');
+const scopeFilterSelect = document.getElementById('scope-filter');
+const searchSummary = document.getElementById('search-summary');
+const searchResultsList = document.getElementById('search-results');
+const editModeButton = document.getElementById('edit-mode-btn');
+const curationStatus = document.getElementById('curation-status');
+const exportApplyEditsLabel = document.getElementById('export-apply-edits-label');
+const exportApplyEditsCheckbox = document.getElementById('export-apply-edits');
+const exportAnonymizeLabel = document.getElementById('export-anonymize-label');
+const exportAnonymizeCheckbox = document.getElementById('export-anonymize');
+const exportBlurPhotoLabel = document.getElementById('export-blur-photo-label');
+const exportBlurPhotoCheckbox = document.getElementById('export-blur-photo');
+const analyticsButton = document.getElementById('analytics-btn');
+const analyticsDialog = document.getElementById('analytics-dialog');
+const analyticsCloseButton = document.getElementById('analytics-close-btn');
+const analyticsContent = document.getElementById('analytics-content');
+const albumFilmstrip = document.getElementById('album-filmstrip');
+const overlayLink = document.getElementById('overlay-link');
+const newOnlyLabel = document.getElementById('new-only-label');
+const newOnlyToggle = document.getElementById('new-only-toggle');
+const previousCommentButton = document.getElementById('previous-comment-btn');
+const nextCommentButton = document.getElementById('next-comment-btn');
+const commentAnnouncer = document.getElementById('comment-announcer');
+const shortcutsButton = document.getElementById('shortcuts-btn');
+const shortcutsDialog = document.getElementById('shortcuts-dialog');
+const shortcutsCloseButton = document.getElementById('shortcuts-close-btn');
 
 // --- FUNCTIONS --- //
 
 /**
- * Loads post data from localStorage or fetches it from the JSON file.
+ * Receives post data sent directly by the bookmarklet through postMessage.
+ * Announces "fbpcv-ready" to the opener until the first chunk arrives, reassembles the
+ * "fbpcv-chunk" messages, and replies with "fbpcv-ack" once the JSON has been parsed.
+ * @param {function} callback - Called with the received data.
+ * @param {function} onFailure - Called if no valid data arrives within HANDOFF_TIMEOUT_MS.
+ */
+function receiveHandoff(callback, onFailure) {
+    const opener = window.opener;
+    const chunks = [];
+    let receivedCount = 0;
+
+    // The opener's exact origin isn't known, so announce to each allowed origin;
+    // postMessage silently drops messages whose target origin doesn't match.
+    const announceReady = () => {
+        HANDOFF_ALLOWED_ORIGINS.forEach(origin => opener.postMessage({ type: 'fbpcv-ready' }, origin));
+    };
+    const readyTimer = setInterval(announceReady, 500);
+    const timeoutTimer = setTimeout(() => {
+        cleanup();
+        onFailure();
+    }, HANDOFF_TIMEOUT_MS);
+
+    function cleanup() {
+        clearInterval(readyTimer);
+        clearTimeout(timeoutTimer);
+        window.removeEventListener('message', handleMessage);
+    }
+
+    function handleMessage(event) {
+        if (event.source !== opener || !HANDOFF_ALLOWED_ORIGINS.includes(event.origin)) return;
+        const message = event.data || {};
+        if (message.type !== 'fbpcv-chunk') return;
+
+        clearInterval(readyTimer);
+        if (chunks[message.index] === undefined) {
+            chunks[message.index] = message.data;
+            receivedCount++;
+        }
+        if (receivedCount < message.total) return;
+
+        cleanup();
+        const json = chunks.join('');
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (e) {
+            opener.postMessage({ type: 'fbpcv-ack', transferId: message.transferId, ok: false, error: 'The viewer received invalid JSON.' }, event.origin);
+            onFailure();
+            return;
+        }
+        opener.postMessage({ type: 'fbpcv-ack', transferId: message.transferId, ok: true }, event.origin);
+
+        // Keep a copy in the library and point the URL at it, so reloading the viewer still shows the post
+        const { data: preparedData, errors } = preparePostData(data);
+        if (errors.length === 0) {
+            savePostToLibrary(preparedData).then(id => {
+                history.replaceState(null, '', `?post=${encodeURIComponent(id)}${window.location.hash}`);
+            }).catch(error => console.warn('Could not save the post to the library:', error));
+        }
+        callback(data);
+    }
+
+    window.addEventListener('message', handleMessage);
+    announceReady();
+}
+
+/**
+ * Loads post data embedded in an exported HTML file, sent by the bookmarklet,
+ * from the library (viewer.html?post=<id>), from localStorage, or from the JSON file.
  * @param {function} callback - A callback function to handle the loaded data.
  */
 function loadData(callback) {
+  const params = new URLSearchParams(window.location.search);
+  if (window.EMBEDDED_POST_DATA) {
+    callback(window.EMBEDDED_POST_DATA);
+    return;
+  }
+  if (params.has('handoff') && window.opener) {
+    receiveHandoff(callback, () => loadStoredData(callback));
+    return;
+  }
+  if (params.has('post')) {
+    getLibraryPost(params.get('post')).then(data => {
+      if (data) {
+        callback(data);
+      } else {
+        alert('That post is no longer in the library.');
+        loadStoredData(callback);
+      }
+    }).catch(error => {
+      console.error('Could not read the library:', error);
+      loadStoredData(callback);
+    });
+    return;
+  }
+  loadStoredData(callback);
+}
+
+/**
+ * Loads post data from localStorage or fetches it from the JSON file.
+ * @param {function} callback - A callback function to handle the loaded data.
+ */
+function loadStoredData(callback) {
   const localJson = localStorage.getItem('fb_photo_comment_json');
   if (localJson) {
     try {
@@ -44,81 +251,522 @@ function loadData(callback) {
 }
 
 /**
- * Recursively flattens the nested comment structure into a single array.
- * @param {Array} comments - The array of comments to process.
- * @param {number} level - The current indentation level.
- * @returns {Array} A flat array of comment objects with a 'level' property.
+ * Flattens the nested comment structure into a single array in reading order.
+ * Each entry keeps its place in the thread: 'level' (indentation), 'parentName' (who it replies to),
+ * 'ancestors' (the flat indexes of the comments above it) and 'replyCount' (all replies below it).
+ * @param {Array} comments - The array of top-level comments.
+ * @returns {Array} A flat array of comment objects.
  */
-function flattenComments(comments, level = 0) {
-    let flatList = [];
-    comments.forEach(comment => {
-        flatList.push({ ...comment, level });
-        if (comment.replies && comment.replies.length > 0) {
-            flatList = flatList.concat(flattenComments(comment.replies, level + 1));
-        }
-    });
+function flattenComments(comments) {
+    const flatList = [];
+    const walk = (replies, level, ancestors, parentName) => {
+        replies.forEach(comment => {
+            const entry = { ...comment, level, parentName, ancestors, replyCount: 0 };
+            const index = flatList.push(entry) - 1;
+            if (comment.replies && comment.replies.length > 0) {
+                walk(comment.replies, level + 1, [...ancestors, index], comment.name);
+                entry.replyCount = flatList.length - index - 1;
+            }
+        });
+    };
+    walk(comments, 0, [], null);
     return flatList;
 }
 
+/**
+ * Keeps only the entries of a flattened comment list that pass a test. 'level', 'ancestors' and
+ * 'replyCount' are worked out again from the entries kept; 'parentName' still names the comment
+ * replied to, even if that comment was left out.
+ * @param {Array} flatList - A list built by flattenComments.
+ * @param {Function} keep - Called with each entry; returns true to keep it.
+ * @returns {Array} The filtered flat list.
+ */
+function filterFlatComments(flatList, keep) {
+    const keptIndexes = new Map(); // Index in flatList -> index in the filtered list
+    const filtered = [];
+    flatList.forEach((entry, index) => {
+        if (!keep(entry)) return;
+        const ancestors = entry.ancestors.filter(ancestor => keptIndexes.has(ancestor)).map(ancestor => keptIndexes.get(ancestor));
+        keptIndexes.set(index, filtered.push({ ...entry, level: ancestors.length, ancestors, replyCount: 0 }) - 1);
+        ancestors.forEach(ancestor => { filtered[ancestor].replyCount++; });
+    });
+    return filtered;
+}
+
+/**
+ * Returns the fallback avatar URL for the loaded post.
+ * @returns {string} The post's fallback avatar, or the default one.
+ */
+function getFallbackAvatar() {
+    if (postData.embeddedImages?.avatars?.fallback) return postData.embeddedImages.avatars.fallback;
+    return isMissingValue(postData.avatars?.fallback) ? DEFAULT_FALLBACK_AVATAR : postData.avatars.fallback;
+}
+
+/**
+ * Returns the avatar URL for a person, preferring the copy embedded by the bookmarklet's
+ * archive mode and falling back to the generic avatar.
+ * @param {string} name - The person's name as used in the avatars map.
+ * @returns {string} The avatar URL or data URI.
+ */
+function getAvatarSrc(name) {
+    const embeddedAvatar = postData.embeddedImages?.avatars?.[name];
+    if (embeddedAvatar) return embeddedAvatar;
+    const avatar = postData.avatars?.[name];
+    return isMissingValue(avatar) ? getFallbackAvatar() : avatar;
+}
+
+/**
+ * Returns the main photo source, preferring the copy embedded by archive mode.
+ * @param {object} data - The post data.
+ * @returns {string} The photo URL or data URI, or the placeholder if there is none.
+ */
+function getMainPhotoSrc(data) {
+    if (data.embeddedImages?.mainPhoto) return data.embeddedImages.mainPhoto;
+    return isMissingValue(data.mainPhotoUrl) ? PHOTO_PLACEHOLDER_URL : data.mainPhotoUrl;
+}
+
+/**
+ * Builds the "X and N others" text for the likes line, or an empty string if there are no likes.
+ * @param {object} likes - The likes object { firstLiker, otherCount }.
+ * @returns {string} The text to show.
+ */
+function formatLikes(likes) {
+    const hasFirstLiker = !isMissingValue(likes.firstLiker);
+    if (hasFirstLiker && likes.otherCount > 0) return `${likes.firstLiker} and ${likes.otherCount} others`;
+    if (hasFirstLiker) return likes.firstLiker;
+    return likes.otherCount > 0 ? `${likes.otherCount}` : '';
+}
+
+/**
+ * Shows a count the way Facebook does, abbreviated in the browser's language (e.g. "1.2K").
+ * @param {number} count - The count.
+ * @returns {string} The formatted count.
+ */
+function formatCompactCount(count) {
+    return new Intl.NumberFormat(undefined, { notation: 'compact', maximumFractionDigits: 1 }).format(count);
+}
+
+/**
+ * Shows each reaction type's icon and count in the post stats, most common first, in place
+ * of the "X and N others" line. Exports without a reaction breakdown keep that line.
+ * @param {object} data - The post data.
+ */
+function renderReactionBreakdown(data) {
+    const entries = Object.entries(data.reactions || {})
+        .filter(([type, count]) => REACTION_ICONS[type] && count > 0)
+        .sort((a, b) => b[1] - a[1]);
+    reactionBreakdown.replaceChildren();
+    reactionBreakdown.hidden = entries.length === 0;
+    reactionBreakdown.closest('.likes-info').classList.toggle('has-reaction-breakdown', entries.length > 0);
+    if (entries.length === 0) return;
+
+    entries.forEach(([type, count]) => {
+        const item = document.createElement('li');
+        item.className = `reaction-count reaction-${type}`;
+        item.title = `${REACTION_ICONS[type].label}: ${count.toLocaleString()}`;
+        const icon = document.createElement('span');
+        icon.className = 'reaction-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = REACTION_ICONS[type].icon;
+        const label = document.createElement('span');
+        label.className = 'visually-hidden';
+        label.textContent = `${REACTION_ICONS[type].label}: `;
+        item.append(icon, label, formatCompactCount(count));
+        reactionBreakdown.appendChild(item);
+    });
+    const total = data.totalReactions || entries.reduce((sum, [, count]) => sum + count, 0);
+    reactionBreakdown.setAttribute('aria-label', `${total.toLocaleString()} reactions`);
+}
+
+/**
+ * Formats a date relative to now in the browser's language, e.g. "3 hours ago" or "yesterday".
+ * @param {Date} date - The date to format.
+ * @param {Date} [now] - The time to count from.
+ * @returns {string} The relative time.
+ */
+function formatRelativeTime(date, now = new Date()) {
+    const elapsed = date.getTime() - now.getTime();
+    const [unit, length] = RELATIVE_TIME_UNITS.find(([, ms]) => Math.abs(elapsed) >= ms) || RELATIVE_TIME_UNITS[RELATIVE_TIME_UNITS.length - 1];
+    return new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' }).format(Math.round(elapsed / length), unit);
+}
+
+/**
+ * Formats a date and time in the browser's language, e.g. "March 3, 2025 at 10:15 PM".
+ * @param {Date} date - The date to format.
+ * @returns {string} The formatted date.
+ */
+function formatAbsoluteDate(date) {
+    return new Intl.DateTimeFormat(undefined, { dateStyle: 'long', timeStyle: 'short' }).format(date);
+}
+
+/**
+ * Creates the post date shown under the author's name: the date in the browser's language and
+ * how long ago it was, with the text Facebook showed in the tooltip. Exports without a
+ * postTimestamp show the scraped text as it was.
+ * @param {object} data - The post data.
+ * @returns {HTMLElement|string} A <time> element, or plain text if the date is unknown.
+ */
+function createPostDateElement(data) {
+    const originalText = isMissingValue(data.postDate) ? '' : data.postDate;
+    const date = parseTimestamp(data.postTimestamp);
+    if (!date) return originalText || 'Unknown date';
+
+    const timeEl = document.createElement('time');
+    timeEl.dateTime = date.toISOString();
+    timeEl.textContent = `${formatAbsoluteDate(date)} (${formatRelativeTime(date)})`;
+    if (originalText) timeEl.title = `Shown on Facebook as "${originalText}"`;
+    return timeEl;
+}
+
 /**
  * Populates the main post details into the DOM.
+ * Missing values and the bookmarklet's "..._NOT_FOUND" placeholders are never shown as text.
  * @param {object} data - The fetched post data.
  */
 function populatePostDetails(data) {
-    mainPhoto.src = data.mainPhotoUrl;
-    mainPhoto.onerror = () => { mainPhoto.src = '[https://placehold.co/1200x800/000000/FFFFFF?text=Image+Not+Found](https://placehold.co/1200x800/000000/FFFFFF?text=Image+Not+Found)'; };
+    mainPhoto.src = getMainPhotoSrc(data);
+    mainPhoto.alt = isMissingValue(data.postAuthor) ? 'Photo of the post' : `Photo posted by ${data.postAuthor}`;
+    mainPhoto.onerror = () => { mainPhoto.onerror = null; mainPhoto.src = PHOTO_PLACEHOLDER_URL; };
     
-    authorAvatar.src = data.avatars[data.postAuthor];
-    authorAvatar.onerror = () => { authorAvatar.src = data.avatars.fallback; };
+    authorAvatar.src = getAvatarSrc(data.postAuthor);
+    authorAvatar.onerror = () => { authorAvatar.onerror = null; authorAvatar.src = getFallbackAvatar(); };
 
-    authorName.textContent = data.postAuthor;
-    postMeta.prepend(`${data.postDate} · ${data.postLocation}`);
+    authorName.textContent = isMissingValue(data.postAuthor) ? 'Unknown author' : data.postAuthor;
+    // Keep only the globe icon, so switching album photos doesn't stack up dates
+    postMeta.replaceChildren(createPostDateElement(data), isMissingValue(data.postLocation) ? '' : ` · ${data.postLocation}`, ...postMeta.querySelectorAll('.globe-icon'));
     
-    likeDetails.textContent = `${data.likes.firstLiker} and ${data.likes.otherCount} others`;
-    totalCommentsText.textContent = `${data.totalComments} Comments`;
+    likeDetails.textContent = formatLikes(data.likes);
+    renderReactionBreakdown(data);
+    totalCommentsText.textContent = `${data.totalComments} ${data.totalComments === 1 ? 'Comment' : 'Comments'}`;
+    shareCountText.hidden = !(data.shares > 0);
+    shareCountText.textContent = data.shares > 0 ? `${formatCompactCount(data.shares)} ${data.shares === 1 ? 'Share' : 'Shares'}` : '';
 
     const firstCommenter = data.comments[0]?.name || data.postAuthor;
-    userAvatar.src = data.avatars[firstCommenter] || data.avatars.fallback;
-    userAvatar.onerror = () => { userAvatar.src = data.avatars.fallback; };
+    userAvatar.src = getAvatarSrc(firstCommenter);
+    userAvatar.onerror = () => { userAvatar.onerror = null; userAvatar.src = getFallbackAvatar(); };
+}
+
+/**
+ * Creates a link that opens in a new tab. Scraped URLs are untrusted, so anything that isn't
+ * http(s) becomes plain text instead of a link.
+ * @param {string} url - The link target.
+ * @param {string} text - The link text.
+ * @param {string} [className] - An optional class for the element.
+ * @returns {HTMLElement} An <a> element, or a <span> if the URL isn't safe to link to.
+ */
+function createExternalLink(url, text, className) {
+    const isSafe = typeof url === 'string' && /^https?:\/\//i.test(url);
+    const element = document.createElement(isSafe ? 'a' : 'span');
+    element.textContent = text;
+    if (className) element.className = className;
+    if (isSafe) {
+        element.href = url;
+        element.target = '_blank';
+        element.rel = 'noopener noreferrer';
+    }
+    return element;
+}
+
+/**
+ * Escapes a string for use inside a regular expression.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Appends one line of comment text to an element, turning URLs, #hashtags, @mentions and
+ * emoji into their own elements. All text is added as text nodes, never as HTML.
+ * @param {HTMLElement} parent - The element to append to.
+ * @param {string} line - The line of text.
+ * @param {Array} mentions - The comment's { name, profileUrl } mentions.
+ */
+function appendRichTextLine(parent, line, mentions) {
+    // Longest names first, so "Jane Doe" wins over a mention of just "Jane"; a name only
+    // counts as a whole word, so "Ann" isn't linked inside "Annual"
+    const mentionNames = mentions.map(mention => mention.name).filter(Boolean).sort((a, b) => b.length - a.length);
+    const pattern = mentionNames.length > 0
+        ? new RegExp(`(?<mention>(?<![\\p{L}\\p{N}])(?:${mentionNames.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}]))|${RICH_TEXT_PATTERN.source}`, 'gu')
+        : new RegExp(RICH_TEXT_PATTERN.source, 'gu');
+
+    let lastIndex = 0;
+    for (const match of line.matchAll(pattern)) {
+        let token = match[0];
+        let trailing = '';
+        const { url, hashtag, handle, emoji, mention } = match.groups;
+
+        if (url) {
+            trailing = token.match(URL_TRAILING_PUNCTUATION)?.[0] || '';
+            token = token.slice(0, token.length - trailing.length);
+        }
+
+        parent.append(line.slice(lastIndex, match.index));
+        if (url) {
+            parent.append(createExternalLink(url.startsWith('www.') ? `https://${token}` : token, token));
+        } else if (hashtag) {
+            parent.append(createExternalLink(`${HASHTAG_BASE_URL}${encodeURIComponent(token.slice(1))}`, token, 'comment-hashtag'));
+        } else if (mention || handle) {
+            const profileUrl = mentions.find(m => m.name === token)?.profileUrl;
+            parent.append(createExternalLink(profileUrl, token, 'comment-mention'));
+        } else if (emoji) {
+            const span = document.createElement('span');
+            span.className = 'comment-emoji';
+            span.textContent = token;
+            parent.append(span);
+        }
+        parent.append(trailing);
+        lastIndex = match.index + match[0].length;
+    }
+    parent.append(line.slice(lastIndex));
+}
+
+/**
+ * Renders a comment message into an element: escaped text with links, mentions, hashtags
+ * and emoji, keeping the message's line breaks.
+ * @param {HTMLElement} parent - The .comment-message element to fill.
+ * @param {string} message - The comment text.
+ * @param {Array} [mentions] - The comment's { name, profileUrl } mentions.
+ */
+function renderRichText(parent, message, mentions = []) {
+    message.split(/\r?\n/).forEach((line, i) => {
+        if (i > 0) parent.appendChild(document.createElement('br'));
+        appendRichTextLine(parent, line, mentions);
+    });
+}
+
+/**
+ * Adds the per-comment details captured by the scraper to a comment's content block:
+ * the time (and "Edited" / "See translation" markers) under the name, attachment thumbnails,
+ * and a reaction badge.
+ * Older exports don't have these fields, in which case nothing is added.
+ * @param {HTMLElement} contentDiv - The comment's .comment-content element.
+ * @param {object} commentData - The comment data object.
+ */
+function appendCommentMetadata(contentDiv, commentData) {
+    const authorP = contentDiv.querySelector('.comment-author');
+
+    const timestamp = parseTimestamp(commentData.timestamp);
+    const isRemoved = commentData.removedIn !== undefined;
+    if (commentData.time || timestamp || commentData.edited || commentData.previousMessages || isRemoved || commentData.hasTranslation) {
+        const timeP = document.createElement('p');
+        timeP.className = 'comment-time';
+        const addSeparator = () => { if (timeP.hasChildNodes()) timeP.append(' · '); };
+        if (timestamp) {
+            // Shown relative to now rather than to when the post was scraped
+            const timeEl = createExternalLink(commentData.permalink, formatRelativeTime(timestamp));
+            const originalText = commentData.time?.absolute || commentData.time?.relative;
+            timeEl.title = originalText ? `${formatAbsoluteDate(timestamp)} (shown on Facebook as "${originalText}")` : formatAbsoluteDate(timestamp);
+            timeP.appendChild(timeEl);
+        } else if (commentData.time) {
+            const timeEl = createExternalLink(commentData.permalink, commentData.time.relative || commentData.time.absolute);
+            if (commentData.time.absolute) timeEl.title = commentData.time.absolute;
+            timeP.appendChild(timeEl);
+        }
+        if (commentData.edited || commentData.previousMessages) {
+            addSeparator();
+            const editedEl = document.createElement('span');
+            editedEl.textContent = 'Edited';
+            // Merged re-scrapes keep the text the comment had before
+            if (commentData.previousMessages) editedEl.title = `Earlier text: ${commentData.previousMessages.join(' → ')}`;
+            timeP.appendChild(editedEl);
+        }
+        if (isRemoved) {
+            addSeparator();
+            const removedEl = document.createElement('span');
+            removedEl.className = 'comment-removed-label';
+            removedEl.textContent = 'Deleted';
+            const missingSince = parseTimestamp(postData.scrapeHistory?.[commentData.removedIn]?.scrapedAt);
+            removedEl.title = missingSince ? `Gone from the post when it was scraped again on ${formatAbsoluteDate(missingSince)}` : 'Gone from the post when it was scraped again';
+            timeP.appendChild(removedEl);
+        }
+        if (commentData.hasTranslation) {
+            // The translation itself isn't scraped; link to the comment so it can be read on Facebook
+            addSeparator();
+            const translationEl = createExternalLink(commentData.permalink, 'See translation', 'comment-translation');
+            translationEl.title = 'This comment has a translation on Facebook';
+            timeP.appendChild(translationEl);
+        }
+        authorP.after(timeP);
+    }
+
+    if (commentData.attachments && commentData.attachments.length > 0) {
+        const attachmentsDiv = document.createElement('div');
+        attachmentsDiv.className = 'comment-attachments';
+        commentData.attachments.forEach(attachment => {
+            if (!attachment.url) {
+                // Removed when the post was anonymized; the description is all that's left
+                const removed = document.createElement('span');
+                removed.className = 'comment-attachment-removed';
+                removed.textContent = `[${attachment.alt || attachment.type}]`;
+                attachmentsDiv.appendChild(removed);
+                return;
+            }
+            const img = document.createElement('img');
+            img.className = `comment-attachment comment-attachment-${attachment.type}`;
+            img.src = attachment.url;
+            img.alt = attachment.alt || attachment.type;
+            img.onerror = () => { img.remove(); };
+            attachmentsDiv.appendChild(img);
+        });
+        contentDiv.appendChild(attachmentsDiv);
+    }
+
+    if (commentData.reactionCount > 0) {
+        const badge = document.createElement('span');
+        badge.className = 'comment-reactions';
+        badge.textContent = `👍 ${commentData.reactionCount}`;
+        badge.title = `${commentData.reactionCount} reactions`;
+        contentDiv.appendChild(badge);
+    }
+}
+
+/**
+ * Builds the inside of a comment: avatar, name, rich-text message and metadata.
+ * Shared by the sidebar and the overlay so both render scraped text the same (safe) way.
+ * @param {object} commentData - The comment data object.
+ * @param {string} className - The class for the <article>.
+ * @returns {HTMLElement} The created article element.
+ */
+function buildCommentArticle(commentData, className) {
+    const article = document.createElement('article');
+    article.className = className;
+    if (commentData.removedIn !== undefined) article.classList.add('comment-removed');
+
+    const avatar = document.createElement('img');
+    avatar.className = 'avatar-small';
+    avatar.src = getAvatarSrc(commentData.name);
+    avatar.alt = `${commentData.name}'s avatar`;
+    avatar.onerror = () => { avatar.onerror = null; avatar.src = getFallbackAvatar(); };
+
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'comment-content';
+
+    const authorP = document.createElement('p');
+    authorP.className = 'comment-author';
+    authorP.textContent = commentData.name;
+
+    const messageP = document.createElement('p');
+    messageP.className = 'comment-message';
+    renderRichText(messageP, commentData.message, Array.isArray(commentData.mentions) ? commentData.mentions : []);
+
+    contentDiv.append(authorP, messageP);
+    article.append(avatar, contentDiv);
+    appendCommentMetadata(contentDiv, commentData);
+    return article;
 }
 
 /**
  * Creates an HTML element for a single comment.
  * @param {object} commentData - The comment data object {name, message, level}.
+ * @param {number} index - The comment's index in flatCommentList.
  * @returns {HTMLElement} The created article element for the comment.
  */
-function createCommentElement(commentData) {
-    const article = document.createElement('article');
-    article.className = 'comment-article';
+function createCommentElement(commentData, index) {
+    const article = buildCommentArticle(commentData, 'comment-article');
     if (commentData.level > 0) {
         article.classList.add('comment-reply');
         // Apply indentation based on the level
         article.style.marginLeft = `${commentData.level * 2.75}rem`;
     }
+    if (commentData.replyCount > 0) {
+        article.appendChild(createThreadToggle(index));
+    }
+    if (editMode) addCurationControls(article, commentData);
+    return article;
+}
 
-    const avatarSrc = postData.avatars[commentData.name] || postData.avatars.fallback;
-
-    article.innerHTML = `
-        <img src="${avatarSrc}" alt="${commentData.name}'s avatar" class="avatar-small" onerror="this.onerror=null;this.src='${postData.avatars.fallback}';">
-        <div class="comment-content">
-            <p class="comment-author">${commentData.name}</p>
-            <p class="comment-message"></p>
-        </div>
-    `;
+/**
+ * Adds the edit-mode controls to a sidebar comment: hide, pin, move and note buttons,
+ * the private note itself, and drag-to-reorder.
+ * @param {HTMLElement} article - The comment's article element.
+ * @param {object} commentData - The curated comment (with key, isHidden, isPinned and note).
+ */
+function addCurationControls(article, commentData) {
+    article.dataset.key = commentData.key;
+    article.dataset.parentKey = commentData.parentKey;
+    article.draggable = true;
+    article.classList.toggle('is-curation-hidden', commentData.isHidden);
+    article.classList.toggle('is-pinned', commentData.isPinned);
 
-    const messageP = article.querySelector('.comment-message');
-    if (commentData.message.startsWith('http')) {
-        const link = document.createElement('a');
-        link.href = commentData.message;
-        link.textContent = commentData.message;
-        link.target = '_blank';
-        link.rel = 'noopener noreferrer';
-        messageP.appendChild(link);
-    } else {
-        messageP.textContent = commentData.message;
+    const contentDiv = article.querySelector('.comment-content');
+    if (commentData.note) {
+        const noteP = document.createElement('p');
+        noteP.className = 'comment-note';
+        noteP.textContent = commentData.note;
+        contentDiv.appendChild(noteP);
     }
-    
-    return article;
+
+    const controls = document.createElement('div');
+    controls.className = 'curation-controls';
+    [
+        ['hide', commentData.isHidden ? 'Unhide' : 'Hide'],
+        ['pin', commentData.isPinned ? 'Unpin' : 'Pin'],
+        ['move-up', 'Move up'],
+        ['move-down', 'Move down'],
+        ['note', commentData.note ? 'Edit note' : 'Add note']
+    ].forEach(([action, label]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'curation-button';
+        button.dataset.curationAction = action;
+        button.textContent = label;
+        button.setAttribute('aria-label', `${label}: comment by ${commentData.name}`);
+        controls.appendChild(button);
+    });
+    article.appendChild(controls);
+}
+
+/**
+ * Creates the "N replies" button that collapses or expands a comment's replies in the threaded view.
+ * @param {number} index - The comment's index in flatCommentList.
+ * @returns {HTMLButtonElement} The toggle button.
+ */
+function createThreadToggle(index) {
+    const replyCount = flatCommentList[index].replyCount;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'comment-thread-toggle';
+    button.textContent = `${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}`;
+    button.setAttribute('aria-label', `${button.textContent} to ${flatCommentList[index].name}`);
+    button.setAttribute('aria-expanded', String(!collapsedThreads.has(index)));
+    button.addEventListener('click', () => {
+        if (collapsedThreads.has(index)) collapsedThreads.delete(index);
+        else collapsedThreads.add(index);
+        button.setAttribute('aria-expanded', String(!collapsedThreads.has(index)));
+        applyThreadVisibility();
+    });
+    return button;
+}
+
+/**
+ * Hides the sidebar comments that sit inside a collapsed thread. Collapsing only applies
+ * in the threaded view; the flat view always shows every revealed comment.
+ */
+function applyThreadVisibility() {
+    const isThreaded = threadedViewToggle.checked;
+    commentsContainer.querySelectorAll('.comment-article').forEach(article => {
+        const { ancestors } = flatCommentList[Number(article.dataset.index)];
+        article.hidden = isThreaded && ancestors.some(ancestor => collapsedThreads.has(ancestor));
+    });
+}
+
+/**
+ * Switches the sidebar between the flat and threaded views.
+ */
+function handleThreadedViewChange() {
+    commentsContainer.classList.toggle('is-threaded', threadedViewToggle.checked);
+    applyThreadVisibility();
+}
+
+/**
+ * Switches the "New since last scrape" filter and restarts playback with it.
+ */
+function handleNewOnlyChange() {
+    stopAutoplay();
+    rebuildPlaylist();
+    seekToComment(editMode ? flatCommentList.length : 0);
 }
 
 /**
@@ -127,17 +775,15 @@ function createCommentElement(commentData) {
  * @returns {HTMLElement} The created article element for the overlay.
  */
 function createOverlayCommentElement(commentData) {
-    const article = document.createElement('article');
-    article.className = 'overlay-comment-bubble';
-    const avatarSrc = postData.avatars[commentData.name] || postData.avatars.fallback;
-
-    article.innerHTML = `
-        <img src="${avatarSrc}" alt="${commentData.name}'s avatar" class="avatar-small" onerror="this.onerror=null;this.src='${postData.avatars.fallback}';">
-        <div class="comment-content">
-            <p class="comment-author">${commentData.name}</p>
-            <p class="comment-message">${commentData.message}</p>
-        </div>
-    `;
+    const article = buildCommentArticle(commentData, 'overlay-comment-bubble');
+    if (commentData.parentName) {
+        const replyingTo = document.createElement('p');
+        replyingTo.className = 'comment-replying-to';
+        replyingTo.textContent = `Replying to ${commentData.parentName}`;
+        article.querySelector('.comment-author').before(replyingTo);
+    }
+    // The overlay is hidden from screen readers, so its links must not take keyboard focus either
+    article.querySelectorAll('a[href]').forEach(link => { link.tabIndex = -1; });
     return article;
 }
 
@@ -160,37 +806,986 @@ function updateOverlayComments() {
 }
 
 /**
- * Adds the next comment to the sidebar and updates the overlay.
+ * Sends the latest comments to the broadcast overlay (overlay.html), if one is listening.
+ * Comments passed over by "Skip replies" aren't sent.
+ */
+function broadcastOverlayComments() {
+    if (!overlayChannel) return;
+    const bubbles = [];
+    for (let i = currentCommentIndex - 1; i >= 0 && bubbles.length < OVERLAY_MAX_BUBBLES; i--) {
+        if (skippedComments.has(i)) continue;
+        const comment = flatCommentList[i];
+        bubbles.unshift({ id: `${currentPhotoIndex}:${i}:${comment.key}`, html: createOverlayCommentElement(comment).outerHTML });
+    }
+    overlayChannel.postMessage({ type: 'comments', bubbles });
+}
+
+/**
+ * Opens the BroadcastChannel to the broadcast overlay. A viewer opened with ?channel=name only
+ * drives overlays opened with the same channel, so several streams can run side by side.
+ */
+function setupOverlayBroadcast() {
+    // An exported file opened from disk can't share a channel with the overlay page
+    if (window.EMBEDDED_POST_DATA || !('BroadcastChannel' in window)) {
+        overlayLink.hidden = true;
+        return;
+    }
+    const channel = new URLSearchParams(location.search).get('channel');
+    overlayChannel = new BroadcastChannel(`${OVERLAY_CHANNEL_PREFIX}:${channel || 'default'}`);
+    // An overlay that has just (re)loaded asks for the comments on screen
+    overlayChannel.addEventListener('message', (event) => {
+        if (event.data?.type === 'hello') broadcastOverlayComments();
+    });
+    if (channel) overlayLink.href = `overlay.html?channel=${encodeURIComponent(channel)}`;
+}
+
+/**
+ * Updates the progress bar over the photo and the seek slider in the toolbar.
+ */
+function updateProgress() {
+    const total = flatCommentList.length;
+    playbackProgressFill.style.width = total > 0 ? `${(currentCommentIndex / total) * 100}%` : '0%';
+    seekSlider.max = total;
+    seekSlider.value = currentCommentIndex;
+    seekSlider.setAttribute('aria-valuetext', `${currentCommentIndex} of ${total} comments shown`);
+    seekPosition.textContent = `${currentCommentIndex} / ${total}`;
+}
+
+/**
+ * Refreshes everything that depends on the playback position, and restarts the
+ * autoplay countdown so the new comment gets its full display time.
+ */
+function updatePlaybackViews() {
+    updateCommentCounter();
+    updateOverlayComments();
+    broadcastOverlayComments();
+    updateProgress();
+    updatePositionHash();
+    if (autoplayTimer !== null) scheduleAutoplayStep();
+}
+
+/**
+ * Reads a message out to screen readers through the #comment-announcer live region.
+ * @param {string} message - The text to announce.
+ */
+function announce(message) {
+    commentAnnouncer.textContent = message;
+}
+
+/**
+ * Describes a comment for the live region, e.g. "Bob Jones, replying to Alice Smith: Thanks!".
+ * @param {number} index - The comment's index in flatCommentList.
+ * @returns {string} The description.
+ */
+function describeComment(index) {
+    const comment = flatCommentList[index];
+    const author = comment.parentName ? `${comment.name}, replying to ${comment.parentName}` : comment.name;
+    return `${author}: ${comment.message || 'no text'}`;
+}
+
+/**
+ * Announces how far playback has got, after a jump back or over several comments.
+ */
+function announcePosition() {
+    announce(`${currentCommentIndex} of ${flatCommentList.length} comments shown.`);
+}
+
+/**
+ * Creates the sidebar element for a comment in flatCommentList and adds it to #comments-container.
+ * Comments passed over by "Skip replies" are not shown.
+ * @param {number} index - The comment's index in flatCommentList.
+ * @param {Node} [parent] - Where to append it; defaults to #comments-container.
+ * @returns {HTMLElement|null} The new element, or null for a skipped comment.
+ */
+function revealComment(index, parent = commentsContainer) {
+    if (skippedComments.has(index)) return null;
+    const commentElement = createCommentElement(flatCommentList[index], index);
+    commentElement.dataset.index = index;
+    parent.appendChild(commentElement);
+    return commentElement;
+}
+
+/**
+ * Finds where the next top-level thread starts.
+ * @param {number} fromIndex - The flat index to search from.
+ * @returns {number} The flat index of the next top-level comment, or flatCommentList.length if there is none.
+ */
+function findNextThreadStart(fromIndex) {
+    const index = flatCommentList.findIndex((comment, i) => i >= fromIndex && comment.level === 0);
+    return index === -1 ? flatCommentList.length : index;
+}
+
+/**
+ * Steps playback forward according to the selected step mode: one comment, up to and including
+ * the next top-level comment ("Next thread"), or the same but passing over the rest of the
+ * current thread's replies without showing them ("Skip replies").
  * @param {boolean} shouldScroll - If true, the new comment will be scrolled into view.
  */
 function handleNextComment(shouldScroll = false) {
-    if (currentCommentIndex < flatCommentList.length) {
-        const commentData = flatCommentList[currentCommentIndex];
-        const commentElement = createCommentElement(commentData);
-        commentsContainer.appendChild(commentElement);
-        
-        if (shouldScroll) {
-            commentElement.scrollIntoView({ behavior: 'smooth', block: 'end' });
+    if (currentCommentIndex >= flatCommentList.length) return;
+
+    let target = currentCommentIndex + 1;
+    if (stepModeSelect.value !== 'comment') {
+        const nextThreadStart = findNextThreadStart(currentCommentIndex);
+        target = Math.min(flatCommentList.length, nextThreadStart + 1);
+        if (stepModeSelect.value === 'skip-replies') {
+            for (let i = currentCommentIndex; i < nextThreadStart; i++) skippedComments.add(i);
         }
+    }
 
-        currentCommentIndex++;
-        updateCommentCounter();
-        updateOverlayComments();
+    let commentElement = null;
+    const revealed = [];
+    for (let i = currentCommentIndex; i < target; i++) {
+        const element = revealComment(i);
+        if (element) {
+            commentElement = element;
+            revealed.push(i);
+        }
     }
+    announce(revealed.map(describeComment).join('\n'));
+    applyThreadVisibility();
+    if (shouldScroll && commentElement && !commentElement.hidden) {
+        commentElement.scrollIntoView({ behavior: 'smooth', block: 'end' });
+    }
+
+    currentCommentIndex = target;
+    updatePlaybackViews();
 }
 
 /**
- * Removes the last comment from the sidebar and updates the overlay.
+ * Removes the last comment from the sidebar and updates the overlay. Replies that were
+ * skipped are stepped back over in one go, and become unskipped again.
  */
 function handlePreviousComment() {
     if (currentCommentIndex > 0) {
-        const lastComment = commentsContainer.lastElementChild;
-        if (lastComment) {
-            commentsContainer.removeChild(lastComment);
-        }
         currentCommentIndex--;
-        updateCommentCounter();
-        updateOverlayComments();
+        commentsContainer.querySelector(`[data-index="${currentCommentIndex}"]`)?.remove();
+        while (currentCommentIndex > 0 && skippedComments.has(currentCommentIndex - 1)) {
+            skippedComments.delete(--currentCommentIndex);
+        }
+        updatePlaybackViews();
+        announcePosition();
+    }
+}
+
+/**
+ * Jumps playback to an arbitrary position, rebuilding #comments-container so it shows
+ * exactly the first `index` comments (less any skipped replies).
+ * @param {number} index - The number of comments to reveal (0 to flatCommentList.length).
+ */
+function seekToComment(index) {
+    const target = Math.max(0, Math.min(flatCommentList.length, index));
+    commentsContainer.innerHTML = '';
+    // Skips only stick to the part of the thread that stays revealed
+    skippedComments.forEach(i => { if (i >= target) skippedComments.delete(i); });
+    const fragment = document.createDocumentFragment();
+    for (let i = 0; i < target; i++) {
+        revealComment(i, fragment);
+    }
+    commentsContainer.appendChild(fragment);
+    applyThreadVisibility();
+    commentsContainer.lastElementChild?.scrollIntoView({ block: 'end' });
+    currentCommentIndex = target;
+    updatePlaybackViews();
+}
+
+/**
+ * Jumps playback to a specific comment so it is the latest one shown, expanding any collapsed
+ * thread it sits in.
+ * @param {number} index - The comment's index in flatCommentList.
+ */
+function jumpToComment(index) {
+    const comment = flatCommentList[index];
+    if (!comment) return;
+    comment.ancestors.forEach(ancestor => collapsedThreads.delete(ancestor));
+    skippedComments.delete(index);
+    seekToComment(index + 1);
+    announce(describeComment(index));
+}
+
+/**
+ * Moves playback by whole threads: forward up to and including the next top-level comment, or
+ * back to the top-level comment of the thread being shown (the previous thread's, if playback
+ * is already there).
+ * @param {number} direction - 1 for forward, -1 for back.
+ */
+function seekByThread(direction) {
+    if (direction > 0) {
+        seekToComment(findNextThreadStart(currentCommentIndex) + 1);
+        return;
+    }
+    const latest = currentCommentIndex - 1;
+    let threadStart = flatCommentList[latest]?.level === 0 ? latest - 1 : latest;
+    while (threadStart >= 0 && flatCommentList[threadStart].level !== 0) threadStart--;
+    seekToComment(threadStart + 1);
+}
+
+/**
+ * Writes the playback position to the URL hash (without adding history entries),
+ * so a copied link reopens the viewer at the same point.
+ */
+function updatePositionHash() {
+    const parts = [];
+    if (albumData && currentPhotoIndex > 0) parts.push(`p=${currentPhotoIndex + 1}`);
+    if (currentCommentIndex > 0) parts.push(`c=${currentCommentIndex}`);
+    const hash = parts.length > 0 ? `#${parts.join('&')}` : '';
+    if (location.hash === hash) return;
+    history.replaceState(history.state, '', `${location.pathname}${location.search}${hash}`);
+}
+
+/**
+ * Reads the playback position from the URL hash.
+ * @returns {object|null} { photoIndex, commentIndex } (the album photo, counted from 0, and the
+ * number of comments to reveal), or null if the hash has no position.
+ */
+function readPositionHash() {
+    const match = location.hash.match(POSITION_HASH_PATTERN);
+    if (!match || (match[1] === undefined && match[2] === undefined)) return null;
+    return {
+        photoIndex: match[1] !== undefined ? Math.max(0, parseInt(match[1], 10) - 1) : 0,
+        commentIndex: match[2] !== undefined ? parseInt(match[2], 10) : 0
+    };
+}
+
+/**
+ * Moves playback to the position in the URL hash, e.g. after the link was edited by hand.
+ */
+function handleHashChange() {
+    const position = readPositionHash();
+    if (position === null) return;
+    if (albumData && position.photoIndex !== currentPhotoIndex) showAlbumPhoto(position.photoIndex, position.commentIndex);
+    else if (position.commentIndex !== currentCommentIndex) seekToComment(position.commentIndex);
+}
+
+/**
+ * Fills the author filter with everyone who commented, in alphabetical order. The selected
+ * author stays selected if they also commented on the newly shown photo.
+ */
+function populateAuthorFilter() {
+    const selected = authorFilterSelect.value;
+    const names = [...new Set(flatCommentList.map(comment => comment.name))].sort((a, b) => a.localeCompare(b));
+    authorFilterSelect.replaceChildren(authorFilterSelect.options[0]);
+    names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        authorFilterSelect.appendChild(option);
+    });
+    authorFilterSelect.value = names.includes(selected) ? selected : '';
+}
+
+/**
+ * Finds the comments matching the search box and filters.
+ * @returns {number[]} The matching indexes in flatCommentList.
+ */
+function findMatchingComments() {
+    const query = commentSearchInput.value.trim().toLowerCase();
+    const author = authorFilterSelect.value;
+    const scope = scopeFilterSelect.value;
+    const matches = [];
+    flatCommentList.forEach((comment, index) => {
+        if (author && comment.name !== author) return;
+        if (scope === 'top-level' && comment.level > 0) return;
+        if (scope === 'replies' && comment.level === 0) return;
+        if (query && !comment.message.toLowerCase().includes(query)) return;
+        matches.push(index);
+    });
+    return matches;
+}
+
+/**
+ * Builds a short excerpt of a comment around the search match, with the match highlighted.
+ * @param {string} message - The comment text.
+ * @param {string} query - The search text (may be empty).
+ * @returns {DocumentFragment} The excerpt, built from text nodes and a <mark>.
+ */
+function createSearchSnippet(message, query) {
+    const fragment = document.createDocumentFragment();
+    const matchAt = query ? message.toLowerCase().indexOf(query) : -1;
+    if (matchAt === -1) {
+        const preview = message.slice(0, SEARCH_SNIPPET_CONTEXT * 2);
+        fragment.append(preview.length < message.length ? `${preview}…` : preview);
+        return fragment;
+    }
+    const start = Math.max(0, matchAt - SEARCH_SNIPPET_CONTEXT);
+    const end = Math.min(message.length, matchAt + query.length + SEARCH_SNIPPET_CONTEXT);
+    const mark = document.createElement('mark');
+    mark.textContent = message.slice(matchAt, matchAt + query.length);
+    fragment.append(start > 0 ? '…' : '', message.slice(start, matchAt), mark, message.slice(matchAt + query.length, end), end < message.length ? '…' : '');
+    return fragment;
+}
+
+/**
+ * Lists the comments matching the current search and filters. The list is hidden
+ * while no search or filter is active.
+ */
+function renderSearchResults() {
+    const query = commentSearchInput.value.trim().toLowerCase();
+    const isFiltering = query !== '' || authorFilterSelect.value !== '' || scopeFilterSelect.value !== 'all';
+    searchResultsList.innerHTML = '';
+    searchSummary.hidden = !isFiltering;
+    searchResultsList.hidden = !isFiltering;
+    if (!isFiltering) return;
+
+    const matches = findMatchingComments();
+    searchSummary.textContent = matches.length > SEARCH_RESULT_LIMIT
+        ? `${matches.length} matches (showing the first ${SEARCH_RESULT_LIMIT})`
+        : `${matches.length} ${matches.length === 1 ? 'match' : 'matches'}`;
+
+    matches.slice(0, SEARCH_RESULT_LIMIT).forEach(index => {
+        const comment = flatCommentList[index];
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'search-result';
+        const authorSpan = document.createElement('span');
+        authorSpan.className = 'search-result-author';
+        authorSpan.textContent = comment.name;
+        button.append(authorSpan, createSearchSnippet(comment.message, query));
+        button.addEventListener('click', () => jumpToComment(index));
+        item.appendChild(button);
+        searchResultsList.appendChild(item);
+    });
+}
+
+/**
+ * Builds the playlist for the shown post: the scraped comments with the curation overlay applied.
+ * Edit mode also lists hidden comments, so they can be unhidden, and ignores the "New since
+ * last scrape" filter, so whole threads can be reordered.
+ * @returns {Array} The flat comment list.
+ */
+function buildPlaylist() {
+    const flatList = flattenComments(applyCuration(postData.comments, curation, { includeHidden: editMode }));
+    if (editMode || !newOnlyToggle.checked || getLatestScrapeIndex(postData) === 0) return flatList;
+    return filterFlatComments(flatList, comment => isNewSinceLastScrape(comment, postData));
+}
+
+/**
+ * Rebuilds flatCommentList from the shown post.
+ */
+function rebuildPlaylist() {
+    flatCommentList = buildPlaylist();
+    collapsedThreads.clear();
+    skippedComments.clear();
+    renderSearchResults();
+}
+
+/**
+ * Shows where edits are kept: posts opened from the library save them there, anything
+ * else only keeps them until the page is closed.
+ */
+function updateCurationStatus() {
+    const isLibraryPost = new URLSearchParams(location.search).has('post');
+    curationStatus.hidden = !editMode;
+    curationStatus.textContent = isLibraryPost
+        ? 'Edits are saved to your library. The scraped comments are kept as they were.'
+        : 'Edits last until this page is closed. Open the post from the library to keep them.';
+    const posts = albumData ? albumData.photos : [postData];
+    exportApplyEditsLabel.hidden = !posts.some(post => hasCurationEdits(normalizeCuration(post.curation)));
+}
+
+/**
+ * Stores the curation overlay alongside the post, saving it to the library when the post came from there.
+ */
+function saveCuration() {
+    postData = { ...postData, curation };
+    if (albumData) albumData.photos[currentPhotoIndex] = postData;
+    const postId = new URLSearchParams(location.search).get('post');
+    if (postId) {
+        updateLibraryPost(postId, albumData || postData).catch(error => console.warn('Could not save edits to the library:', error));
+    }
+    updateCurationStatus();
+}
+
+/**
+ * Changes the curation overlay, saves it and redraws the edit view in place.
+ * @param {Function} change - Receives the overlay to modify; returning false cancels the change.
+ */
+function updateCuration(change) {
+    if (change(curation) === false) return;
+    saveCuration();
+    const scrollTop = commentsContainer.scrollTop;
+    rebuildPlaylist();
+    seekToComment(flatCommentList.length);
+    commentsContainer.scrollTop = scrollTop;
+}
+
+/**
+ * Moves a comment to a new place among its siblings and saves that thread's order.
+ * Pinned comments always stay at the top of their thread.
+ * @param {string} key - The key of the comment to move.
+ * @param {string} targetKey - The key of the sibling to place it next to.
+ * @param {boolean} placeAfter - True to place it after the target, false for before.
+ */
+function moveComment(key, targetKey, placeAfter) {
+    const comment = flatCommentList.find(entry => entry.key === key);
+    updateCuration(draft => {
+        const siblings = flatCommentList.filter(entry => entry.parentKey === comment.parentKey && entry.key !== key).map(entry => entry.key);
+        siblings.splice(siblings.indexOf(targetKey) + (placeAfter ? 1 : 0), 0, key);
+        draft.order[comment.parentKey] = siblings;
+    });
+}
+
+/**
+ * Handles the edit-mode buttons on sidebar comments.
+ * @param {MouseEvent} event - The click event.
+ */
+function handleCurationAction(event) {
+    const button = event.target.closest('[data-curation-action]');
+    if (!button) return;
+    const key = button.closest('.comment-article').dataset.key;
+    const comment = flatCommentList.find(entry => entry.key === key);
+    const toggleKey = list => {
+        const position = list.indexOf(key);
+        if (position === -1) list.push(key);
+        else list.splice(position, 1);
+    };
+
+    switch (button.dataset.curationAction) {
+        case 'hide':
+            updateCuration(draft => toggleKey(draft.hidden));
+            break;
+        case 'pin':
+            updateCuration(draft => toggleKey(draft.pinned));
+            break;
+        case 'move-up':
+        case 'move-down': {
+            const siblings = flatCommentList.filter(entry => entry.parentKey === comment.parentKey);
+            const placeAfter = button.dataset.curationAction === 'move-down';
+            const target = siblings[siblings.indexOf(comment) + (placeAfter ? 1 : -1)];
+            if (target) moveComment(key, target.key, placeAfter);
+            break;
+        }
+        case 'note':
+            updateCuration(draft => {
+                const note = prompt('Private note for this comment (never exported). Leave empty to remove it.', draft.notes[key] || '');
+                if (note === null) return false;
+                if (note.trim() === '') delete draft.notes[key];
+                else draft.notes[key] = note.trim();
+            });
+            break;
+    }
+}
+
+/**
+ * Finds the comment a dragged comment would be dropped next to. Comments can only be
+ * reordered within their own thread.
+ * @param {DragEvent} event - The dragover or drop event.
+ * @returns {HTMLElement|null} The sibling's article element, or null if it can't be dropped here.
+ */
+function getDropTarget(event) {
+    const article = event.target.closest('.comment-article');
+    if (!editMode || !article || !draggedCommentKey || article.dataset.key === draggedCommentKey) return null;
+    const dragged = flatCommentList.find(entry => entry.key === draggedCommentKey);
+    return article.dataset.parentKey === dragged.parentKey ? article : null;
+}
+
+/**
+ * Sets up drag-to-reorder on the sidebar for edit mode.
+ */
+function setupCommentDragAndDrop() {
+    commentsContainer.addEventListener('dragstart', (event) => {
+        const article = event.target.closest?.('.comment-article');
+        if (!editMode || !article) return;
+        draggedCommentKey = article.dataset.key;
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', draggedCommentKey);
+    });
+    commentsContainer.addEventListener('dragover', (event) => {
+        if (getDropTarget(event)) event.preventDefault();
+    });
+    commentsContainer.addEventListener('drop', (event) => {
+        const target = getDropTarget(event);
+        if (!target) return;
+        event.preventDefault();
+        const rect = target.getBoundingClientRect();
+        moveComment(draggedCommentKey, target.dataset.key, event.clientY > rect.top + rect.height / 2);
+    });
+    commentsContainer.addEventListener('dragend', () => { draggedCommentKey = null; });
+}
+
+/**
+ * Switches edit mode on or off. Edit mode lists every comment with its controls; leaving it
+ * restarts playback with the edits applied.
+ */
+function toggleEditMode() {
+    editMode = !editMode;
+    stopAutoplay();
+    editModeButton.textContent = editMode ? 'Done' : 'Edit';
+    editModeButton.setAttribute('aria-pressed', String(editMode));
+    commentsContainer.classList.toggle('is-editing', editMode);
+    rebuildPlaylist();
+    updateCurationStatus();
+    seekToComment(editMode ? flatCommentList.length : 0);
+}
+
+/**
+ * Shows a post (or one photo of an album) in the viewer, replacing whatever was shown before.
+ * @param {object} data - The post data.
+ * @param {object} [playback] - Playback state to restore: { commentIndex, collapsed, skipped, editMode }.
+ */
+function showPost(data, playback = {}) {
+    postData = data;
+    curation = normalizeCuration(postData.curation);
+    // The filter is only offered for posts that were merged with an earlier scrape
+    newOnlyLabel.hidden = getLatestScrapeIndex(postData) === 0;
+    flatCommentList = buildPlaylist();
+    collapsedThreads.clear();
+    skippedComments.clear();
+    // Saved indexes only line up with the playlist they were taken from
+    if (playback.editMode === editMode) {
+        (playback.collapsed || []).forEach(index => collapsedThreads.add(index));
+        (playback.skipped || []).forEach(index => skippedComments.add(index));
+    }
+    populatePostDetails(postData);
+    renderPhotoTags(postData.photoTags);
+    zoomState = { scale: 1, x: 0, y: 0 };
+    applyZoom();
+    populateAuthorFilter();
+    renderSearchResults();
+    updateCurationStatus();
+    seekToComment(editMode ? flatCommentList.length : (playback.commentIndex || 0));
+}
+
+/**
+ * Switches to another photo of the album. The photo being left keeps its playback position,
+ * collapsed threads and skipped replies for when it is shown again.
+ * @param {number} index - The photo's index in the album.
+ * @param {number} [commentIndex] - A position to open the photo at instead of its saved one.
+ */
+function showAlbumPhoto(index, commentIndex) {
+    if (!albumData || !albumData.photos[index] || index === currentPhotoIndex) return;
+    stopAutoplay();
+    photoPlaybackStates.set(currentPhotoIndex, {
+        commentIndex: currentCommentIndex,
+        collapsed: [...collapsedThreads],
+        skipped: [...skippedComments],
+        editMode
+    });
+    currentPhotoIndex = index;
+    const playback = { ...photoPlaybackStates.get(index) };
+    if (commentIndex !== undefined) playback.commentIndex = commentIndex;
+    showPost(albumData.photos[index], playback);
+    updateFilmstrip();
+}
+
+/**
+ * Builds the filmstrip of album photos, each with its comment count. Single posts have no filmstrip.
+ */
+function renderFilmstrip() {
+    albumFilmstrip.hidden = !albumData;
+    albumFilmstrip.replaceChildren();
+    if (!albumData) return;
+    albumData.photos.forEach((photo, index) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'filmstrip-photo';
+        const commentCount = countLiveComments(photo.comments);
+        button.setAttribute('aria-label', `Photo ${index + 1} of ${albumData.photos.length}, ${commentCount} ${commentCount === 1 ? 'comment' : 'comments'}`);
+        const thumbnail = document.createElement('img');
+        thumbnail.src = getMainPhotoSrc(photo);
+        thumbnail.alt = '';
+        thumbnail.onerror = () => { thumbnail.onerror = null; thumbnail.src = PHOTO_PLACEHOLDER_URL; };
+        const count = document.createElement('span');
+        count.className = 'filmstrip-count';
+        count.textContent = commentCount;
+        button.append(thumbnail, count);
+        button.addEventListener('click', () => showAlbumPhoto(index));
+        albumFilmstrip.appendChild(button);
+    });
+    updateFilmstrip();
+}
+
+/**
+ * Marks the photo being shown in the filmstrip.
+ */
+function updateFilmstrip() {
+    Array.from(albumFilmstrip.children).forEach((button, index) => {
+        if (index === currentPhotoIndex) {
+            button.setAttribute('aria-current', 'true');
+            button.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        } else {
+            button.removeAttribute('aria-current');
+        }
+    });
+}
+
+/**
+ * Works out how long the current comment should stay up before autoplay moves on.
+ * @returns {number} The delay in milliseconds, adjusted for the selected speed.
+ */
+function getAutoplayDelay() {
+    const speed = parseFloat(autoplaySpeedSelect.value) || 1;
+    const shownComment = flatCommentList[currentCommentIndex - 1];
+    let delay = AUTOPLAY_DELAY_MS;
+    if (readingTimeToggle.checked && shownComment) {
+        const readingTime = READING_TIME.baseMs + shownComment.message.length * READING_TIME.perCharacterMs;
+        delay = Math.min(READING_TIME.maxMs, Math.max(READING_TIME.minMs, readingTime));
+    }
+    return delay / speed;
+}
+
+/**
+ * (Re)starts the countdown to the next autoplay step.
+ */
+function scheduleAutoplayStep() {
+    clearTimeout(autoplayTimer);
+    autoplayTimer = setTimeout(() => {
+        if (currentCommentIndex >= flatCommentList.length) {
+            stopAutoplay();
+            return;
+        }
+        handleNextComment(true);
+    }, getAutoplayDelay());
+}
+
+/**
+ * Starts revealing comments on a timer. Starting at the end of the thread rewinds first.
+ */
+function startAutoplay() {
+    if (flatCommentList.length === 0) return;
+    if (currentCommentIndex >= flatCommentList.length) seekToComment(0);
+    autoplayButton.textContent = 'Pause';
+    autoplayButton.setAttribute('aria-pressed', 'true');
+    autoplayTimer = -1; // Marks autoplay as running before the first step is scheduled
+    if (currentCommentIndex === 0) handleNextComment(true);
+    else scheduleAutoplayStep();
+}
+
+/**
+ * Stops autoplay, leaving the current position as it is.
+ */
+function stopAutoplay() {
+    clearTimeout(autoplayTimer);
+    autoplayTimer = null;
+    autoplayButton.textContent = 'Play';
+    autoplayButton.setAttribute('aria-pressed', 'false');
+}
+
+/**
+ * Toggles autoplay on or off.
+ */
+function toggleAutoplay() {
+    if (autoplayTimer === null) startAutoplay();
+    else stopAutoplay();
+}
+
+/**
+ * Applies the zoom state to the photo stage, keeping the photo covering the section so it
+ * can't be panned out of view.
+ */
+function applyZoom() {
+    const { width, height } = imageSection.getBoundingClientRect();
+    const { scale } = zoomState;
+    zoomState.x = Math.min(0, Math.max(width * (1 - scale), zoomState.x));
+    zoomState.y = Math.min(0, Math.max(height * (1 - scale), zoomState.y));
+    photoStage.style.transform = `translate(${zoomState.x}px, ${zoomState.y}px) scale(${scale})`;
+    imageSection.classList.toggle('is-zoomed', scale > 1);
+    zoomOutButton.disabled = scale <= ZOOM.min;
+    zoomInButton.disabled = scale >= ZOOM.max;
+}
+
+/**
+ * Zooms the photo to a new scale, keeping the given point (relative to #image-section) fixed.
+ * @param {number} newScale - The requested scale; clamped to the ZOOM limits.
+ * @param {number} [originX] - The x coordinate to zoom around; defaults to the center.
+ * @param {number} [originY] - The y coordinate to zoom around; defaults to the center.
+ */
+function zoomTo(newScale, originX, originY) {
+    const rect = imageSection.getBoundingClientRect();
+    const x = originX ?? rect.width / 2;
+    const y = originY ?? rect.height / 2;
+    const scale = Math.min(ZOOM.max, Math.max(ZOOM.min, newScale));
+    const ratio = scale / zoomState.scale;
+    zoomState = {
+        scale,
+        x: scale === 1 ? 0 : x - (x - zoomState.x) * ratio,
+        y: scale === 1 ? 0 : y - (y - zoomState.y) * ratio
+    };
+    applyZoom();
+}
+
+/**
+ * Handles the mouse wheel and trackpad pinch (which browsers report as ctrl+wheel) over the photo.
+ * @param {WheelEvent} event - The wheel event.
+ */
+function handlePhotoWheel(event) {
+    event.preventDefault();
+    const rect = imageSection.getBoundingClientRect();
+    zoomTo(zoomState.scale * Math.exp(-event.deltaY * ZOOM.wheelSensitivity), event.clientX - rect.left, event.clientY - rect.top);
+}
+
+/**
+ * Starts tracking a pointer pressed on the photo, for drag-to-pan and touch pinch.
+ * @param {PointerEvent} event - The pointerdown event.
+ */
+function handlePhotoPointerDown(event) {
+    if (event.target.closest('.image-controls, .photo-tag')) return;
+    if (activePointers.size === 0) gestureMoved = false;
+    activePointers.set(event.pointerId, { x: event.clientX, y: event.clientY, startX: event.clientX, startY: event.clientY });
+    imageSection.setPointerCapture?.(event.pointerId);
+}
+
+/**
+ * Pans with one pointer, or zooms with two (pinch), while the photo is pressed.
+ * @param {PointerEvent} event - The pointermove event.
+ */
+function handlePhotoPointerMove(event) {
+    const pointer = activePointers.get(event.pointerId);
+    if (!pointer) return;
+
+    if (Math.hypot(event.clientX - pointer.startX, event.clientY - pointer.startY) > DRAG_THRESHOLD_PX) {
+        gestureMoved = true;
+    }
+
+    if (activePointers.size === 2) {
+        const [first, second] = [...activePointers.values()];
+        const previousDistance = Math.hypot(first.x - second.x, first.y - second.y);
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
+        const distance = Math.hypot(first.x - second.x, first.y - second.y);
+        const rect = imageSection.getBoundingClientRect();
+        if (previousDistance > 0) {
+            zoomTo(zoomState.scale * (distance / previousDistance), (first.x + second.x) / 2 - rect.left, (first.y + second.y) / 2 - rect.top);
+        }
+        return;
+    }
+
+    if (zoomState.scale > 1) {
+        zoomState.x += event.clientX - pointer.x;
+        zoomState.y += event.clientY - pointer.y;
+        imageSection.classList.add('is-panning');
+        applyZoom();
+    }
+    pointer.x = event.clientX;
+    pointer.y = event.clientY;
+}
+
+/**
+ * Stops tracking a released pointer.
+ * @param {PointerEvent} event - The pointerup or pointercancel event.
+ */
+function handlePhotoPointerUp(event) {
+    activePointers.delete(event.pointerId);
+    if (activePointers.size === 0) imageSection.classList.remove('is-panning');
+}
+
+/**
+ * Positions the tag layer over the photo's rendered area so tag fractions map onto the image.
+ */
+function positionPhotoTagsLayer() {
+    photoTagsLayer.style.left = `${mainPhoto.offsetLeft}px`;
+    photoTagsLayer.style.top = `${mainPhoto.offsetTop}px`;
+    photoTagsLayer.style.width = `${mainPhoto.offsetWidth}px`;
+    photoTagsLayer.style.height = `${mainPhoto.offsetHeight}px`;
+}
+
+/**
+ * Creates the markers for the photo tags captured by the scraper.
+ * The tag button is disabled when the post has no tags.
+ * @param {Array} tags - The photoTags array: { name, profileUrl, x, y }.
+ */
+function renderPhotoTags(tags) {
+    photoTagsLayer.innerHTML = '';
+    (tags || []).forEach(tag => {
+        const marker = createExternalLink(tag.profileUrl, tag.name, 'photo-tag');
+        marker.style.left = `${tag.x * 100}%`;
+        marker.style.top = `${tag.y * 100}%`;
+        photoTagsLayer.appendChild(marker);
+    });
+    const hasTags = photoTagsLayer.childElementCount > 0;
+    tagPhotoButton.disabled = !hasTags;
+    tagPhotoButton.title = hasTags ? '' : 'No tags were captured for this photo';
+}
+
+/**
+ * Shows or hides the photo tags.
+ */
+function toggleTagMode() {
+    const showTags = photoTagsLayer.hidden;
+    photoTagsLayer.hidden = !showTags;
+    tagPhotoButton.setAttribute('aria-pressed', String(showTags));
+    tagPhotoButton.setAttribute('aria-label', showTags ? 'Hide photo tags' : 'Show photo tags');
+    if (showTags) positionPhotoTagsLayer();
+}
+
+/**
+ * Enters or leaves full-screen mode for the photo section. The overlay comments live inside
+ * the section, so they stay visible in full screen.
+ */
+function toggleFullscreen() {
+    if (document.fullscreenElement) {
+        document.exitFullscreen();
+    } else {
+        imageSection.requestFullscreen?.().catch(error => console.warn('Full screen was refused:', error));
+    }
+}
+
+/**
+ * Keeps the full-screen button label and the photo layout in sync after entering or leaving full screen.
+ */
+function handleFullscreenChange() {
+    const isFullscreen = document.fullscreenElement === imageSection;
+    fullscreenButton.setAttribute('aria-label', isFullscreen ? 'Exit full-screen' : 'Enter full-screen');
+    zoomTo(1);
+    positionPhotoTagsLayer();
+}
+
+/**
+ * Escapes text for inlining inside a <script> or <style> element, so a closing tag
+ * in the content can't end the element early.
+ * @param {string} text - The script or stylesheet source.
+ * @returns {string} The escaped source.
+ */
+function escapeInlineSource(text) {
+    return text.replace(/<\/(script|style)/gi, '<\\/$1');
+}
+
+/**
+ * Returns the start of file names for downloads of this post, based on the author's name.
+ * @returns {string} E.g. "jane-doe", or "post" if the author is unknown.
+ */
+function getFilePrefix() {
+    return isMissingValue(postData.postAuthor) ? 'post' : postData.postAuthor.replace(/[^\w-]+/g, '-').toLowerCase();
+}
+
+/**
+ * Opens the analytics panel, computed from the scraped comments (without curation edits).
+ */
+function openAnalytics() {
+    stopAutoplay();
+    renderAnalytics(analyticsContent, postData, getFilePrefix());
+    analyticsDialog.showModal();
+}
+
+/**
+ * Returns the post data (or the whole album) to export. The curation overlay (and its private
+ * notes) is never exported; with "Apply edits" ticked the comments are exported as curated instead.
+ * @returns {object} The post data for the exported file.
+ */
+function getExportData() {
+    const exportPost = (post) => {
+        const data = { ...post };
+        const postCuration = normalizeCuration(post.curation);
+        delete data.curation;
+        if (exportApplyEditsCheckbox.checked && hasCurationEdits(postCuration)) {
+            data.comments = exportCuratedComments(post.comments, postCuration);
+        }
+        return data;
+    };
+    return albumData ? { ...albumData, photos: albumData.photos.map(exportPost) } : exportPost(postData);
+}
+
+/**
+ * Builds a single self-contained HTML file for a post: viewer.html with style.css
+ * and every viewer script inlined, and the post data (including any embedded images)
+ * assigned to window.EMBEDDED_POST_DATA. The result opens from disk without a network.
+ * @param {object} data - The post data to embed.
+ * @returns {Promise<string>} The HTML document as a string.
+ */
+async function buildOfflineHtml(data) {
+    const fetchText = async (url) => {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Could not load ${url} (HTTP ${response.status})`);
+        return response.text();
+    };
+
+    let html = await fetchText('viewer.html');
+
+    const stylesheetLinks = [...html.matchAll(/<link rel="stylesheet" href="([^"]+)">/g)];
+    for (const [tag, href] of stylesheetLinks) {
+        const css = await fetchText(href);
+        html = html.replace(tag, () => `<style>\n${escapeInlineSource(css)}\n</style>`);
+    }
+
+    const scriptTags = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)];
+    for (const [tag, src] of scriptTags) {
+        const js = await fetchText(src);
+        html = html.replace(tag, () => `<script>\n${escapeInlineSource(js)}\n</script>`);
+    }
+
+    // "<" is escaped so scraped text can never close the script element
+    const dataJson = JSON.stringify(data).replace(/</g, '\\u003c');
+    const dataScript = `<script>window.EMBEDDED_POST_DATA = ${dataJson};</script>\n`;
+    const firstScript = html.indexOf('<script>');
+    return html.slice(0, firstScript) + dataScript + '    ' + html.slice(firstScript);
+}
+
+/**
+ * Downloads the current post as a self-contained offline HTML file, anonymized if "Anonymize" is ticked.
+ */
+async function handleExportHtml() {
+    exportHtmlButton.disabled = true;
+    try {
+        const anonymize = exportAnonymizeCheckbox.checked;
+        const data = anonymize
+            ? await anonymizePostData(getExportData(), { blurPhoto: exportBlurPhotoCheckbox.checked })
+            : getExportData();
+        const html = await buildOfflineHtml(data);
+        const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+        const link = document.createElement('a');
+        link.href = url;
+        // The author's name would give the anonymized file away
+        link.download = `${anonymize ? 'anonymized-post' : getFilePrefix()}-comments.html`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+        console.error('Export failed:', error);
+        alert('Export failed. The viewer must be opened from a web server (not directly from disk) to export.');
+    } finally {
+        exportHtmlButton.disabled = false;
+    }
+}
+
+/**
+ * Opens or closes the keyboard shortcuts panel.
+ */
+function toggleShortcuts() {
+    if (shortcutsDialog.open) shortcutsDialog.close();
+    else shortcutsDialog.showModal();
+}
+
+/**
+ * Handles the viewer's keyboard shortcuts (listed in #shortcuts-dialog).
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleKeyboardShortcut(event) {
+    // Keys typed in the search box, filters and slider belong to those controls, and
+    // browser shortcuts such as Ctrl+End are left alone
+    if (event.target.closest?.('input, select, textarea') || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.key === '?' && !analyticsDialog.open) {
+        event.preventDefault();
+        toggleShortcuts();
+        return;
+    }
+    // Playback stays put while the statistics or shortcuts panel is open
+    if (analyticsDialog.open || shortcutsDialog.open) return;
+
+    switch (event.key) {
+        case 'ArrowRight':
+            handleNextComment(true);
+            break;
+        case 'ArrowLeft':
+            handlePreviousComment();
+            break;
+        case 'Home':
+        case 'End':
+            event.preventDefault();
+            seekToComment(event.key === 'Home' ? 0 : flatCommentList.length);
+            announcePosition();
+            break;
+        case 'PageDown':
+        case 'PageUp':
+            event.preventDefault();
+            seekByThread(event.key === 'PageDown' ? 1 : -1);
+            announcePosition();
+            break;
+        case ' ':
+            // Space on a focused button or link presses it instead
+            if (event.target.closest?.('button, a, summary, [role="button"]')) return;
+            event.preventDefault();
+            toggleAutoplay();
+            break;
     }
 }
 
@@ -198,17 +1793,65 @@ function handlePreviousComment() {
  * Sets up all the necessary event listeners for the page.
  */
 function setupEventListeners() {
-    document.addEventListener('keydown', (event) => {
-        if (event.key === 'ArrowRight') handleNextComment(true);
-        else if (event.key === 'ArrowLeft') handlePreviousComment();
-    });
+    document.addEventListener('keydown', handleKeyboardShortcut);
 
     imageSection.addEventListener('click', (event) => {
+        // Clicks on the controls or tags, on a zoomed photo, or that ended a drag don't step comments
+        if (event.target.closest('.image-controls, .photo-tag') || zoomState.scale > 1 || gestureMoved) {
+            gestureMoved = false;
+            return;
+        }
         const rect = event.currentTarget.getBoundingClientRect();
         const middleOfElement = rect.left + rect.width / 2;
         if (event.clientX > middleOfElement) handleNextComment(false);
         else handlePreviousComment();
     });
+
+    previousCommentButton.addEventListener('click', handlePreviousComment);
+    nextCommentButton.addEventListener('click', () => handleNextComment(true));
+    zoomInButton.addEventListener('click', () => zoomTo(zoomState.scale * ZOOM.buttonStep));
+    zoomOutButton.addEventListener('click', () => zoomTo(zoomState.scale / ZOOM.buttonStep));
+    tagPhotoButton.addEventListener('click', toggleTagMode);
+    fullscreenButton.addEventListener('click', toggleFullscreen);
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+    imageSection.addEventListener('wheel', handlePhotoWheel, { passive: false });
+    imageSection.addEventListener('pointerdown', handlePhotoPointerDown);
+    imageSection.addEventListener('pointermove', handlePhotoPointerMove);
+    imageSection.addEventListener('pointerup', handlePhotoPointerUp);
+    imageSection.addEventListener('pointercancel', handlePhotoPointerUp);
+    mainPhoto.addEventListener('load', positionPhotoTagsLayer);
+    window.addEventListener('resize', () => {
+        applyZoom();
+        positionPhotoTagsLayer();
+    });
+
+    autoplayButton.addEventListener('click', toggleAutoplay);
+    // Timing changes apply from the next comment on
+    autoplaySpeedSelect.addEventListener('change', () => { if (autoplayTimer !== null) scheduleAutoplayStep(); });
+    readingTimeToggle.addEventListener('change', () => { if (autoplayTimer !== null) scheduleAutoplayStep(); });
+    seekSlider.addEventListener('input', () => seekToComment(parseInt(seekSlider.value, 10)));
+    threadedViewToggle.addEventListener('change', handleThreadedViewChange);
+    newOnlyToggle.addEventListener('change', handleNewOnlyChange);
+    commentSearchInput.addEventListener('input', renderSearchResults);
+    authorFilterSelect.addEventListener('change', renderSearchResults);
+    scopeFilterSelect.addEventListener('change', renderSearchResults);
+    window.addEventListener('hashchange', handleHashChange);
+    editModeButton.addEventListener('click', toggleEditMode);
+    analyticsButton.addEventListener('click', openAnalytics);
+    analyticsCloseButton.addEventListener('click', () => analyticsDialog.close());
+    shortcutsButton.addEventListener('click', toggleShortcuts);
+    shortcutsCloseButton.addEventListener('click', () => shortcutsDialog.close());
+    commentsContainer.addEventListener('click', handleCurationAction);
+    setupCommentDragAndDrop();
+
+    // An exported file can't re-read its own source files, so it doesn't offer export again
+    if (window.EMBEDDED_POST_DATA) {
+        exportHtmlButton.hidden = true;
+        exportAnonymizeLabel.hidden = true;
+    } else {
+        exportHtmlButton.addEventListener('click', handleExportHtml);
+        exportAnonymizeCheckbox.addEventListener('change', () => { exportBlurPhotoLabel.hidden = !exportAnonymizeCheckbox.checked; });
+    }
 }
 
 /**
@@ -216,10 +1859,21 @@ function setupEventListeners() {
  */
 async function initializeApp() {
     loadData((data) => {
-        postData = data;
-        flatCommentList = flattenComments(postData.comments);
-        populatePostDetails(postData);
+        const { data: migratedData, errors } = preparePostData(data);
+        if (errors.length > 0) {
+            console.warn('Post data has schema problems; rendering what is usable:', errors.map(formatValidationError));
+        }
+        const usable = post => (errors.length > 0 ? applyStructuralDefaults(post) : post);
+        if (isAlbumBundle(migratedData) && Array.isArray(migratedData.photos) && migratedData.photos.length > 0) {
+            albumData = { ...migratedData, photos: migratedData.photos.map(usable) };
+        }
+        // Open at the position in a shared link, e.g. viewer.html?post=abc#c=42 or #p=2&c=5
+        const sharedPosition = readPositionHash() || { photoIndex: 0, commentIndex: 0 };
+        currentPhotoIndex = albumData ? Math.min(sharedPosition.photoIndex, albumData.photos.length - 1) : 0;
+        renderFilmstrip();
         setupEventListeners();
+        setupOverlayBroadcast();
+        showPost(albumData ? albumData.photos[currentPhotoIndex] : usable(migratedData), { commentIndex: sharedPosition.commentIndex });
     });
 }
 